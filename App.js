@@ -1,7 +1,8 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, getDoc, setDoc, onSnapshot, updateDoc } from 'firebase/firestore';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, getAdditionalUserInfo } from 'firebase/auth';
+import { getFirestore, doc, collection, query, where, orderBy, limit, getDoc, getDocs, setDoc, onSnapshot, updateDoc, runTransaction, increment, deleteField } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
 
 // Global Firebase config and app ID provided by the environment
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
@@ -12,6 +13,7 @@ const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial
 const app = initializeApp(firebaseConfig);
 const db = getFirestore(app);
 const auth = getAuth(app);
+const functions = getFunctions(app);
 
 // Custom Modal Component for alerts
 const CustomModal = ({ message, onClose }) => {
@@ -38,16 +40,24 @@ const App = () => {
   const [userId, setUserId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [modalMessage, setModalMessage] = useState(null);
+  const [nextNFTUnlockAt, setNextNFTUnlockAt] = useState(null); // Earliest unlock among the user's vesting NFTs
+  const [nftUnlockCheck, setNftUnlockCheck] = useState(0); // Bumped to re-check a far-off unlock
+  const [referralCheckUserId, setReferralCheckUserId] = useState(null); // Signed-in user whose pending referral has been assigned
+
+  // Remember a referral link before sign-in so it survives the auth round trip
+  useEffect(() => {
+    captureReferralCode();
+  }, []);
 
   // Authenticate user and set up Firestore listener
   useEffect(() => {
     const authenticateAndListen = async () => {
       try {
-        if (initialAuthToken) {
-          await signInWithCustomToken(auth, initialAuthToken);
-        } else {
-          await signInAnonymously(auth);
-        }
+        const credential = initialAuthToken
+          ? await signInWithCustomToken(auth, initialAuthToken)
+          : await signInAnonymously(auth);
+        assignPendingReferralCode(credential);
+        setReferralCheckUserId(credential.user.uid);
       } catch (error) {
         console.error("Firebase authentication error:", error);
         setModalMessage(`Authentication failed: ${error.message}`);
@@ -72,6 +82,50 @@ const App = () => {
     return () => unsubscribeAuth();
   }, []); // Run once on component mount
 
+  // Pre-inventory staking documents get their placeholder NFTs minted properly
+  useEffect(() => {
+    if (!userId) return;
+    migrateLegacyNFTs(userId).catch(error => console.error("Error migrating legacy NFTs:", error));
+  }, [userId]);
+
+  // Vested NFTs move into the inventory as they unlock, whichever section is open
+  useEffect(() => {
+    if (!userId) {
+      setNextNFTUnlockAt(null);
+      return;
+    }
+    const unsubscribe = onSnapshot(getUserStakingDocRef(userId), (docSnap) => {
+      const unlockTimes = ((docSnap.exists() ? docSnap.data().vestingNFTs : null) || []).map(nft => nft.unlocksAt);
+      setNextNFTUnlockAt(unlockTimes.length > 0 ? Math.min(...unlockTimes) : null);
+    }, (error) => console.error("Error fetching vesting NFTs:", error));
+
+    return () => unsubscribe();
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId || nextNFTUnlockAt === null) return;
+    const delay = nextNFTUnlockAt - Date.now();
+    if (delay > 0) {
+      // Timers can't wait longer than MAX_TIMER_DELAY_MS, so far-off unlocks are re-checked in steps
+      const timeout = setTimeout(() => setNftUnlockCheck(check => check + 1), Math.min(delay, MAX_TIMER_DELAY_MS));
+      return () => clearTimeout(timeout);
+    }
+    releaseVestedNFTs(userId)
+      .then(released => released > 0 && setModalMessage(`${released} vested NFT${released > 1 ? 's have' : ' has'} been moved into your inventory.`))
+      .catch(error => console.error("Error releasing vested NFTs:", error));
+  }, [userId, nextNFTUnlockAt, nftUnlockCheck]);
+
+  // Link a new account to the referrer whose link it arrived through
+  useEffect(() => {
+    if (!referralCheckUserId) return;
+    bindPendingReferral(referralCheckUserId).then((code) => {
+      if (code) setModalMessage(`Welcome! You joined through referral code ${code}.`);
+    }).catch((error) => {
+      console.error("Error binding referral:", error);
+      setModalMessage(error instanceof ReferralError ? error.message : `Failed to apply referral code: ${error.message}`);
+    });
+  }, [referralCheckUserId]);
+
   const handleConnectWallet = () => {
     // In a real DApp, this would trigger a MetaMask or similar wallet connection
     // For this DApp, wallet connection is tied to Firebase authentication.
@@ -79,7 +133,10 @@ const App = () => {
     setModalMessage(walletConnected ? "Wallet is already connected via Firebase authentication!" : "Connecting wallet via Firebase authentication...");
     if (!walletConnected) {
       // Re-trigger auth if not connected, in case initial attempt failed or user signed out
-      signInAnonymously(auth).catch(error => {
+      signInAnonymously(auth).then((credential) => {
+        assignPendingReferralCode(credential);
+        setReferralCheckUserId(credential.user.uid);
+      }).catch(error => {
         console.error("Failed to connect wallet:", error);
         setModalMessage(`Failed to connect wallet: ${error.message}`);
       });
@@ -133,6 +190,8 @@ const App = () => {
         </button>
       </nav>
 
+      <PublicEventsTicker />
+
       <main className="w-full max-w-7xl flex-grow">
         {renderSection()}
       </main>
@@ -279,21 +338,936 @@ const NFTSection = () => (
 );
 
 
+// --- $eDINOSUR ledger ---
+// Every debit and credit of a user's $eDINOSUR balance runs inside a Firestore
+// transaction through these helpers, so two tabs or two quick clicks can't
+// double-spend or overwrite each other's balance.
+
+class LedgerError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+  }
+}
+
+class InsufficientFundsError extends LedgerError {
+  constructor(required, available) {
+    super(`Insufficient $eDINOSUR. You need ${required.toFixed(2)} $eDINOSUR but have ${available.toFixed(2)}.`, 'insufficient-funds');
+    this.name = 'InsufficientFundsError';
+    this.required = required;
+    this.available = available;
+  }
+}
+
+class LedgerConflictError extends LedgerError {
+  constructor() {
+    super("Your balance was changed from another session at the same time. Please try again.", 'conflict');
+    this.name = 'LedgerConflictError';
+  }
+}
+
+// Firestore error codes raised when a transaction keeps losing to concurrent writes
+const TRANSACTION_CONFLICT_CODES = ['aborted', 'failed-precondition'];
+
+const getUserStakingDocRef = (userId) => doc(db, `artifacts/${appId}/users/${userId}/data/staking`);
+const daoTreasuryDocRef = doc(db, `artifacts/${appId}/public/data/dao_treasury/global_stats`);
+
+// Earnings history: one document per accrual settlement, credit, debit or burn
+const getUserEarningsHistoryRef = (userId) => collection(db, `artifacts/${appId}/users/${userId}/data/staking/history`);
+
+// Reads a user's balances within `transaction`. Like every transaction read,
+// this must happen before the transaction performs any write.
+const openLedgerAccount = async (transaction, userId) => {
+  const ref = getUserStakingDocRef(userId);
+  const docSnap = await transaction.get(ref);
+  const data = docSnap.exists() ? docSnap.data() : {};
+  return {
+    userId,
+    ref,
+    data,
+    earned: data.earned || 0,
+    readyToBurnEDinosur: data.readyToBurnEDinosur || 0,
+    totalBurntEDinosur: data.totalBurntEDinosur || 0,
+    daoEDinosur: 0, // Collected during this transaction, added to the DAO treasury on commit
+    historyEntries: [], // Written to the earnings history on commit
+  };
+};
+
+// Adds an entry to the earnings history written on commit
+const ledgerRecord = (account, entry) => {
+  account.historyEntries.push(entry);
+};
+
+// Credits `amount`; `reason` (e.g. 'staking-claim') labels the history entry
+const ledgerCredit = (account, amount, reason) => {
+  if (!(amount >= 0)) {
+    throw new LedgerError(`Invalid credit amount: ${amount}`, 'invalid-amount');
+  }
+  account.earned += amount;
+  ledgerRecord(account, { type: 'credit', reason, amount });
+};
+
+// Debits `amount`, sending `burnShare` of it to the burn queue and `daoShare` to the DAO treasury
+const ledgerDebit = (account, amount, reason, { burnShare = 0, daoShare = 0 } = {}) => {
+  if (!(amount > 0)) {
+    throw new LedgerError(`Invalid debit amount: ${amount}`, 'invalid-amount');
+  }
+  if (account.earned < amount) {
+    throw new InsufficientFundsError(amount, account.earned);
+  }
+  const burnAmount = amount * burnShare;
+  const daoAmount = amount * daoShare;
+  account.earned -= amount;
+  account.readyToBurnEDinosur += burnAmount;
+  account.daoEDinosur += daoAmount;
+  ledgerRecord(account, { type: 'debit', reason, amount, burnAmount, daoAmount });
+  return { burnAmount, daoAmount };
+};
+
+// Moves the whole burn queue into the permanently burnt total
+const ledgerBurn = (account) => {
+  const burnAmount = account.readyToBurnEDinosur;
+  if (burnAmount <= 0) {
+    throw new LedgerError("No $eDINOSUR ready to burn!", 'nothing-to-burn');
+  }
+  account.totalBurntEDinosur += burnAmount;
+  account.readyToBurnEDinosur = 0;
+  ledgerRecord(account, { type: 'burn', reason: 'burn', amount: burnAmount });
+  return burnAmount;
+};
+
+// Records one history entry per staked NFT settled by settleStakingAccruals
+const ledgerRecordSettlements = (account, settlements) => {
+  settlements.forEach(settlement => ledgerRecord(account, { type: 'accrual', reason: 'staking-accrual', ...settlement }));
+};
+
+// Running totals of the earnings history, kept on the staking document so lifetime figures
+// don't depend on how much history is loaded: accruals per NFT, and accrued, credited and
+// spent amounts per UTC day and week
+const EARNINGS_TOTAL_FIELDS = { accrual: 'accrued', credit: 'credited', debit: 'spent' };
+
+// UTC date of the day, or of the Monday starting the week, containing `timestamp`
+const getEarningsPeriodKey = (timestamp, period) => {
+  const date = new Date(timestamp);
+  if (period === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// The running-total increments for `entries`, ready to be merged into the staking document
+const buildEarningsTotalsUpdate = (entries, createdAt) => {
+  const sums = { perNFT: {}, day: {}, week: {} };
+  const add = (group, key, field, amount) => {
+    group[key] = { ...group[key], [field]: ((group[key] || {})[field] || 0) + amount };
+  };
+  entries.forEach(entry => {
+    const field = EARNINGS_TOTAL_FIELDS[entry.type];
+    if (!field) return;
+    add(sums.day, getEarningsPeriodKey(entry.createdAt || createdAt, 'day'), field, entry.amount);
+    add(sums.week, getEarningsPeriodKey(entry.createdAt || createdAt, 'week'), field, entry.amount);
+    if (entry.type === 'accrual') {
+      add(sums.perNFT, entry.nftId, 'amount', entry.amount);
+      sums.perNFT[entry.nftId].tier = entry.tier;
+    }
+  });
+  const toIncrements = (group) => Object.fromEntries(Object.entries(group).map(([key, values]) => [
+    key,
+    Object.fromEntries(Object.entries(values).map(([field, value]) => [field, typeof value === 'number' ? increment(value) : value])),
+  ]));
+  return { perNFT: toIncrements(sums.perNFT), day: toIncrements(sums.day), week: toIncrements(sums.week) };
+};
+
+// Writes the account's balances along with any other staking-document `fields`
+const commitLedgerAccount = (transaction, account, fields = {}) => {
+  const committedAt = Date.now();
+  transaction.set(account.ref, {
+    ...fields,
+    earned: account.earned,
+    readyToBurnEDinosur: account.readyToBurnEDinosur,
+    totalBurntEDinosur: account.totalBurntEDinosur,
+    ...(account.historyEntries.length > 0 ? {
+      earningsTotals: buildEarningsTotalsUpdate(account.historyEntries, committedAt),
+      // History from before this date is added by backfillEarningsTotals
+      earningsTotalsStartedAt: account.data.earningsTotalsStartedAt || committedAt,
+    } : {}),
+  }, { merge: true });
+  if (account.daoEDinosur > 0) {
+    transaction.set(daoTreasuryDocRef, { totalEDinosur: increment(account.daoEDinosur) }, { merge: true });
+  }
+  account.historyEntries.forEach(entry => {
+    transaction.set(doc(getUserEarningsHistoryRef(account.userId)), { ...entry, createdAt: committedAt });
+  });
+};
+
+const runLedgerTransaction = async (updateFunction) => {
+  try {
+    return await runTransaction(db, updateFunction);
+  } catch (error) {
+    if (error instanceof LedgerError) throw error;
+    if (TRANSACTION_CONFLICT_CODES.includes(error.code)) throw new LedgerConflictError();
+    throw error;
+  }
+};
+
+// --- Trusted backend ---
+// Anything the player's own browser must not decide (sale reservations, secret seeds, prize
+// settlement, slot purchases, referral bindings and commission) runs in the Cloud Functions in
+// functions/. Their ledger and referral failures arrive with the LedgerError or ReferralError
+// code in `details`, so callers handle them like local ones.
+const callBackend = async (name, data = {}) => {
+  try {
+    return (await httpsCallable(functions, name)(data)).data;
+  } catch (error) {
+    if (error.details && error.details.ledgerCode) throw new LedgerError(error.message, error.details.ledgerCode);
+    if (error.details && error.details.referralErrorCode) throw new ReferralError(error.message, error.details.referralErrorCode);
+    throw error;
+  }
+};
+
+// --- Public event stream ---
+// Ticket purchases, spins, prizes, burns and slot purchases are written to one shared
+// collection inside the transaction that performs them, here or in functions/, so the feed
+// only shows what happened. Users appear under a stable pseudonym instead of their user ID.
+const publicEventsRef = collection(db, `artifacts/${appId}/public/data/events`);
+
+const PUBLIC_EVENT_TYPES = {
+  'ticket-purchase': 'Ticket purchases',
+  'spin': 'Spins',
+  'prize': 'Prizes',
+  'burn': 'Burns',
+  'slot-purchase': 'Slot purchases',
+  'draw-entry': 'Draw entries',
+  'draw-result': 'Draw results',
+};
+const PUBLIC_EVENTS_PAGE_SIZE = 10;
+
+// FNV-1a over the app-salted user ID; the same user always gets the same pseudonym
+const pseudonymiseUserId = (userId) => {
+  let hash = 0x811c9dc5;
+  for (const char of `${appId}:${userId}`) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `Dino-${hash.toString(16).padStart(8, '0').toUpperCase()}`;
+};
+
+const recordPublicEvent = (transaction, userId, type, details = {}) => {
+  transaction.set(doc(publicEventsRef), { type, actor: pseudonymiseUserId(userId), ...details, createdAt: Date.now() });
+};
+
+const describePublicEvent = (event) => {
+  switch (event.type) {
+    case 'ticket-purchase':
+      return `${event.actor} bought ${event.tickets} raffle ticket${event.tickets > 1 ? 's' : ''}.`;
+    case 'spin':
+      return event.spinCount
+        ? `${event.actor} spun ${event.spinCount} times, last spin ${event.reels.join(' ')}.`
+        : `${event.actor} spun ${event.reels.join(' ')}.`;
+    case 'prize':
+      return `${event.actor} won ${event.prizeLabel}!`;
+    case 'burn':
+      return `${event.actor} burnt ${event.amount.toLocaleString(undefined, { maximumFractionDigits: 2 })} $eDINOSUR.`;
+    case 'slot-purchase':
+      return `${event.actor} bought staking slot #${event.slotId}.`;
+    case 'draw-entry':
+      return `${event.actor} entered ${event.tickets} ticket${event.tickets > 1 ? 's' : ''} into weekly draw #${event.drawIndex}.`;
+    case 'draw-result':
+      if (event.voided) return `Weekly draw #${event.drawIndex} was voided and its tickets were returned.`;
+      return `Weekly draw #${event.drawIndex} closed with ${event.winnerCount} winner${event.winnerCount === 1 ? '' : 's'}.`;
+    default:
+      return `${event.actor}: ${event.type}`;
+  }
+};
+
+// Live, paginated view of the public event stream. `types` limits which event types are
+// shown and offered as filters.
+const PublicEventsFeed = ({ title, types = Object.keys(PUBLIC_EVENT_TYPES) }) => {
+  const [typeFilter, setTypeFilter] = useState(null); // null shows every type in `types`
+  const [pageCount, setPageCount] = useState(1);
+  const [events, setEvents] = useState([]);
+  const [loadingEvents, setLoadingEvents] = useState(true);
+  const typesKey = types.join(',');
+
+  useEffect(() => {
+    const eventLimit = pageCount * PUBLIC_EVENTS_PAGE_SIZE;
+    const typeConstraint = typeFilter ? where('type', '==', typeFilter) : where('type', 'in', typesKey.split(','));
+    const eventsQuery = query(publicEventsRef, typeConstraint, orderBy('createdAt', 'desc'), limit(eventLimit));
+    const unsubscribe = onSnapshot(eventsQuery, (snapshot) => {
+      setEvents(snapshot.docs.map(eventDoc => ({ id: eventDoc.id, ...eventDoc.data() })));
+      setLoadingEvents(false);
+    }, (error) => {
+      console.error("Error fetching public events:", error);
+      setLoadingEvents(false);
+    });
+
+    return () => unsubscribe();
+  }, [typeFilter, pageCount, typesKey]);
+
+  const handleFilterChange = (type) => {
+    setTypeFilter(type);
+    setPageCount(1);
+  };
+
+  const filterButtonClass = (active) => `px-3 py-1 rounded-full text-xs sm:text-sm font-semibold ${active ? 'bg-green-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-600'}`;
+
+  return (
+    <div className="bg-gray-700 rounded-xl p-6 sm:p-8 shadow-lg">
+      <h3 className="text-3xl sm:text-4xl font-bold text-green-300 mb-4 sm:mb-6">{title}</h3>
+      <div className="flex flex-wrap justify-center gap-2 mb-4">
+        <button className={filterButtonClass(typeFilter === null)} onClick={() => handleFilterChange(null)}>All</button>
+        {types.map(type => (
+          <button key={type} className={filterButtonClass(typeFilter === type)} onClick={() => handleFilterChange(type)}>
+            {PUBLIC_EVENT_TYPES[type]}
+          </button>
+        ))}
+      </div>
+      <div className="bg-gray-900 border-4 border-blue-500 rounded-lg p-4 h-48 sm:h-64 overflow-y-auto text-left font-mono text-xs sm:text-sm text-gray-300 shadow-inner">
+        {loadingEvents ? (
+          <p className="text-center text-gray-400">Loading activity...</p>
+        ) : events.length === 0 ? (
+          <p className="text-center text-gray-400">No recent activity...</p>
+        ) : (
+          events.map(event => (
+            <p key={event.id} className="mb-1">
+              <span className="text-gray-500">{new Date(event.createdAt).toLocaleTimeString()}</span> {describePublicEvent(event)}
+            </p>
+          ))
+        )}
+        {events.length === pageCount * PUBLIC_EVENTS_PAGE_SIZE && (
+          <button className="w-full mt-2 text-blue-400 hover:text-blue-300" onClick={() => setPageCount(count => count + 1)}>
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Site-wide strip with the latest public events
+const PublicEventsTicker = () => {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    const eventsQuery = query(publicEventsRef, orderBy('createdAt', 'desc'), limit(PUBLIC_EVENTS_PAGE_SIZE));
+    const unsubscribe = onSnapshot(eventsQuery, (snapshot) => {
+      setEvents(snapshot.docs.map(eventDoc => ({ id: eventDoc.id, ...eventDoc.data() })));
+    }, (error) => console.error("Error fetching public events for the ticker:", error));
+
+    return () => unsubscribe();
+  }, []);
+
+  if (events.length === 0) return null;
+
+  return (
+    <div className="w-full max-w-7xl bg-gray-900 bg-opacity-80 rounded-full px-4 py-2 mb-6 overflow-hidden shadow-lg">
+      <style>
+        {`
+        @keyframes event-ticker-scroll {
+          0% { transform: translateX(100%); }
+          100% { transform: translateX(-100%); }
+        }
+        .event-ticker {
+          display: inline-block;
+          white-space: nowrap;
+          animation: event-ticker-scroll 40s linear infinite;
+        }
+        `}
+      </style>
+      <div className="event-ticker text-xs sm:text-sm text-gray-200 font-mono">
+        {events.map(event => (
+          <span key={event.id} className="mr-8">🦖 {describePublicEvent(event)}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Longest delay setTimeout supports; longer ones fire straight away
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// --- Dino Fighter G1 NFT collection ---
+// The 2,660 NFTs are numbered in contiguous token-id ranges, one per tier, in NFT_TIER_ORDER.
+const NFT_TIERS = {
+  Common: { supply: 1000, dailyEarning: 5000 },
+  Rare: { supply: 600, dailyEarning: 10000 },
+  Unique: { supply: 400, dailyEarning: 15000 },
+  King: { supply: 500, dailyEarning: 25000 },
+  Legend: { supply: 160, dailyEarning: 50000 },
+};
+const NFT_TIER_ORDER = ['Common', 'Rare', 'Unique', 'King', 'Legend'];
+const KING_ELEMENTS = ['Fire', 'Water', 'Ice'];
+const NFT_ORIGINS = { sale: 'Genesis Sale', raffle: 'Raffle Slot', stamp: 'Stamp Redemption', airdrop: 'Airdrop' };
+const STARTING_SLOT_COUNT = 3;
+
+// Global count of minted NFTs per tier, shared by every mint path
+const nftSupplyDocRef = doc(db, `artifacts/${appId}/public/data/nft_supply/global_stats`);
+
+class SupplyExhaustedError extends LedgerError {
+  constructor(tier) {
+    super(`All ${NFT_TIERS[tier].supply.toLocaleString()} ${tier} NFTs have already been minted.`, 'supply-exhausted');
+    this.name = 'SupplyExhaustedError';
+    this.tier = tier;
+  }
+}
+
+const getFirstTokenId = (tier) => NFT_TIER_ORDER
+  .slice(0, NFT_TIER_ORDER.indexOf(tier))
+  .reduce((sum, lowerTier) => sum + NFT_TIERS[lowerTier].supply, 1);
+
+// Reads the minted counts within `transaction`; call before any transaction writes
+const openNFTSupply = async (transaction) => {
+  const supplySnap = await transaction.get(nftSupplyDocRef);
+  return { minted: { ...(supplySnap.exists() ? supplySnap.data().minted : {}) } };
+};
+
+// Allocates the next token id of `tier`. Kings get their element from the token id.
+const mintNFT = (supply, tier, origin, now) => {
+  const mintedCount = supply.minted[tier] || 0;
+  if (mintedCount >= NFT_TIERS[tier].supply) {
+    throw new SupplyExhaustedError(tier);
+  }
+  supply.minted[tier] = mintedCount + 1;
+  const id = getFirstTokenId(tier) + mintedCount;
+  return {
+    id,
+    tier,
+    element: tier === 'King' ? KING_ELEMENTS[id % KING_ELEMENTS.length] : null,
+    dailyEarning: NFT_TIERS[tier].dailyEarning,
+    origin,
+    acquiredAt: now,
+  };
+};
+
+const isNFTSupplyAvailable = (supply, tier) => (supply.minted[tier] || 0) < NFT_TIERS[tier].supply;
+
+const commitNFTSupply = (transaction, supply) => {
+  transaction.set(nftSupplyDocRef, { minted: supply.minted }, { merge: true });
+};
+
+// Builds the inventory and slot view of a staking document. Documents from before the
+// inventory existed kept one placeholder NFT per slot in `nfts`; until migrateLegacyNFTs has
+// minted those, their slots show up empty.
+const readStakingState = (data = {}) => {
+  if (data.slots) {
+    return { inventory: data.inventory || [], slots: data.slots };
+  }
+  if (data.nfts) {
+    return {
+      inventory: [],
+      slots: data.nfts.map(nft => ({ id: nft.id, nftId: null, stakedAt: 0, lastSettledTime: 0 })),
+    };
+  }
+  return {
+    inventory: [],
+    slots: Array.from({ length: STARTING_SLOT_COUNT }, (_, index) => ({ id: index + 1, nftId: null, stakedAt: 0, lastSettledTime: 0 })),
+  };
+};
+
+// Staking document fields for a staking state
+const stakingStateFields = (stakingState) => ({
+  inventory: stakingState.inventory,
+  slots: stakingState.slots,
+});
+
+// Mints the placeholder NFTs of a pre-inventory staking document as airdrops, so they count
+// against the collection supply, and restakes the ones that were staked. This also covers
+// placeholders an earlier upgrade put into the inventory unminted, with `legacy-` ids.
+// Placeholders of a tier that has sold out are dropped. Resolves to the number of NFTs minted.
+const isUnmintedLegacyNFT = (nft) => String(nft.id).startsWith('legacy-');
+
+const migrateLegacyNFTs = (userId) => runLedgerTransaction(async (transaction) => {
+  const account = await openLedgerAccount(transaction, userId);
+  const supply = await openNFTSupply(transaction);
+  const stakingState = readStakingState(account.data);
+  const unmintedNFTs = stakingState.inventory.filter(isUnmintedLegacyNFT);
+  const legacyNFTs = account.data.nfts || [];
+  if (unmintedNFTs.length === 0 && legacyNFTs.length === 0) return 0;
+
+  const now = Date.now();
+  const inventory = stakingState.inventory.filter(nft => !isUnmintedLegacyNFT(nft));
+  let slots = stakingState.slots;
+  let mintedCount = 0;
+  const mintPlaceholder = (tier) => {
+    if (!isNFTSupplyAvailable(supply, tier)) return null;
+    const nft = mintNFT(supply, tier, 'airdrop', now);
+    inventory.push(nft);
+    mintedCount += 1;
+    return nft;
+  };
+
+  unmintedNFTs.forEach(placeholder => {
+    const nft = mintPlaceholder(placeholder.tier);
+    slots = slots.map(slot => (slot.nftId === placeholder.id
+      ? (nft ? { ...slot, nftId: nft.id } : { ...slot, nftId: null, stakedAt: 0, lastSettledTime: 0 })
+      : slot));
+  });
+  legacyNFTs.filter(legacyNFT => NFT_TIERS[legacyNFT.type]).forEach(legacyNFT => {
+    const nft = mintPlaceholder(legacyNFT.type);
+    if (nft && legacyNFT.staked) {
+      slots = slots.map(slot => (slot.id === legacyNFT.id && slot.nftId === null
+        ? { ...slot, nftId: nft.id, stakedAt: legacyNFT.lastStakedTime, lastSettledTime: legacyNFT.lastSettledTime || 0 }
+        : slot));
+    }
+  });
+  commitNFTSupply(transaction, supply);
+  commitLedgerAccount(transaction, account, { ...stakingStateFields({ inventory, slots }), nfts: deleteField() });
+  return mintedCount;
+});
+
+// Moves NFTs whose vesting has ended (`vestingNFTs`, e.g. raffle wins) into the inventory,
+// dropping their unlock time. Resolves to the number of NFTs released.
+const releaseVestedNFTs = (userId) => runLedgerTransaction(async (transaction) => {
+  const account = await openLedgerAccount(transaction, userId);
+  const now = Date.now();
+  const vestingNFTs = account.data.vestingNFTs || [];
+  const unlocked = vestingNFTs.filter(nft => nft.unlocksAt <= now);
+  if (unlocked.length === 0) return 0;
+
+  const stakingState = readStakingState(account.data);
+  const releasedNFTs = unlocked.map(nft => ({
+    id: nft.id,
+    tier: nft.tier,
+    element: nft.element,
+    dailyEarning: nft.dailyEarning,
+    origin: nft.origin,
+    acquiredAt: nft.acquiredAt,
+  }));
+  commitLedgerAccount(transaction, account, {
+    ...stakingStateFields({ ...stakingState, inventory: [...stakingState.inventory, ...releasedNFTs] }),
+    vestingNFTs: vestingNFTs.filter(nft => nft.unlocksAt > now),
+  });
+  return unlocked.length;
+});
+
+// Staked NFTs, each paired with the slot holding it
+const getStakedNFTs = (stakingState) => stakingState.slots
+  .filter(slot => slot.nftId !== null)
+  .map(slot => ({ slot, nft: stakingState.inventory.find(item => item.id === slot.nftId) }))
+  .filter(({ nft }) => nft);
+
+// Set-bonus rules for the staking multiplier. A rule is active when the staked NFTs meet
+// every requirement ({ tier, minCount }, unset fields match anything). The
+// highest active `override` rule sets the base multiplier; every active `stack` rule
+// then adds its bonus on top.
+const MULTIPLIER_RULES = [
+  { id: 'common-rare', label: 'Common + Rare', mode: 'override', multiplier: 1.05,
+    requirements: [{ tier: 'Common' }, { tier: 'Rare' }] },
+  { id: 'common-rare-unique', label: 'Common + Rare + Unique', mode: 'override', multiplier: 1.15,
+    requirements: [{ tier: 'Common' }, { tier: 'Rare' }, { tier: 'Unique' }] },
+  { id: 'royal-court', label: 'Common + Rare + Unique + King', mode: 'override', multiplier: 1.3,
+    requirements: [{ tier: 'Common' }, { tier: 'Rare' }, { tier: 'Unique' }, { tier: 'King' }] },
+  { id: 'full-collection', label: 'Common + Rare + Unique + King + Legend', mode: 'override', multiplier: 1.5,
+    requirements: [{ tier: 'Common' }, { tier: 'Rare' }, { tier: 'Unique' }, { tier: 'King' }, { tier: 'Legend' }] },
+];
+
+const isRequirementMet = (requirement, stakedNFTs) => stakedNFTs.filter(nft =>
+  !requirement.tier || nft.tier === requirement.tier
+).length >= (requirement.minCount || 1);
+
+// Evaluates MULTIPLIER_RULES against the staked NFTs. `activeRules` lists every satisfied
+// rule; `appliedRules` only those that count (the winning override plus all stacks).
+const evaluateMultiplierRules = (stakedNFTs) => {
+  const activeRules = MULTIPLIER_RULES.filter(rule => rule.requirements.every(requirement => isRequirementMet(requirement, stakedNFTs)));
+  const baseRule = activeRules
+    .filter(rule => rule.mode === 'override')
+    .reduce((best, rule) => (!best || rule.multiplier > best.multiplier ? rule : best), null);
+  const stackRules = activeRules.filter(rule => rule.mode === 'stack');
+  const multiplier = stackRules.reduce((sum, rule) => sum + rule.bonus, baseRule ? baseRule.multiplier : 1.0);
+  return { multiplier, activeRules, appliedRules: baseRule ? [baseRule, ...stackRules] : stackRules };
+};
+
+const calculateMultiplier = (stakedNFTs) => evaluateMultiplierRules(stakedNFTs).multiplier;
+
+// Every tier whose next staked NFT would activate at least one new rule, with the rules it
+// unlocks and the resulting multiplier
+const findNextMultiplierUnlocks = (stakedNFTs) => {
+  const current = evaluateMultiplierRules(stakedNFTs);
+  return NFT_TIER_ORDER
+    .map(tier => ({ tier }))
+    .map(candidate => {
+      const next = evaluateMultiplierRules([...stakedNFTs, candidate]);
+      const unlockedRules = next.activeRules.filter(rule => !current.activeRules.includes(rule));
+      return { candidate, unlockedRules, multiplier: next.multiplier };
+    })
+    .filter(unlock => unlock.unlockedRules.length > 0 && unlock.multiplier > current.multiplier);
+};
+
+// Optional lock periods chosen when staking. A locked slot earns `bonus` on top of its
+// NFT's daily rate. Unstaking before the lock ends costs `penaltyDays` of the NFT's base
+// daily earning, split between the burn queue and the DAO.
+const STAKING_LOCK_TIERS = [
+  { days: 0, label: 'Flexible', bonus: 0, penaltyDays: 0 },
+  { days: 7, label: '7-Day Lock', bonus: 0.05, penaltyDays: 1 },
+  { days: 30, label: '30-Day Lock', bonus: 0.15, penaltyDays: 4 },
+  { days: 90, label: '90-Day Lock', bonus: 0.35, penaltyDays: 12 },
+];
+const EARLY_UNSTAKE_PENALTY_BURN_SHARE = 0.5; // The other 50% goes to the DAO
+
+const getLockTier = (lockDays) => STAKING_LOCK_TIERS.find(tier => tier.days === (lockDays || 0)) || STAKING_LOCK_TIERS[0];
+
+const calculateEarlyUnstakePenalty = (nft, slot, now) => (slot.lockedUntil && now < slot.lockedUntil
+  ? nft.dailyEarning * getLockTier(slot.lockDays).penaltyDays
+  : 0);
+
+// Formats the time left until `until` as e.g. "3d 4h 12m 5s"
+const splitCountdown = (distanceMs) => {
+  const distance = Math.max(0, distanceMs);
+  const days = Math.floor(distance / MS_PER_DAY);
+  const hours = Math.floor((distance % MS_PER_DAY) / (1000 * 60 * 60));
+  const minutes = Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60));
+  const seconds = Math.floor((distance % (1000 * 60)) / 1000);
+  return { days, hours, minutes, seconds };
+};
+
+const formatCountdown = (until, now) => {
+  const { days, hours, minutes, seconds } = splitCountdown(until - now);
+  return `${days}d ${hours}h ${minutes}m ${seconds}s`;
+};
+
+// $eDINOSUR accrued by a single staked NFT since its slot was last settled
+const calculateAccruedEarnings = (nft, slot, multiplier, now) => {
+  const accruingSince = slot.lastSettledTime || slot.stakedAt;
+  if (!accruingSince || now <= accruingSince) return 0;
+  const lockBonus = getLockTier(slot.lockDays).bonus;
+  return (nft.dailyEarning * (1 + lockBonus) * multiplier * (now - accruingSince)) / MS_PER_DAY;
+};
+
+// Every stake or unstake settles all NFTs first, so the multiplier of the current
+// staked set is the one that was in effect since the last settlement.
+const calculatePendingEarnings = (stakingState, now) => {
+  const stakedNFTs = getStakedNFTs(stakingState);
+  const multiplier = calculateMultiplier(stakedNFTs.map(({ nft }) => nft));
+  return stakedNFTs.reduce((sum, { nft, slot }) => sum + calculateAccruedEarnings(nft, slot, multiplier, now), 0);
+};
+
+// Moves every staked NFT's accrual into a settled amount and stamps its slot as settled at
+// `now`. `settlements` breaks the amount down per NFT for the earnings history.
+const settleStakingAccruals = (stakingState, now) => {
+  const stakedNFTs = getStakedNFTs(stakingState);
+  const multiplier = calculateMultiplier(stakedNFTs.map(({ nft }) => nft));
+  const settlements = stakedNFTs
+    .map(({ nft, slot }) => ({
+      nftId: nft.id,
+      tier: nft.tier,
+      amount: calculateAccruedEarnings(nft, slot, multiplier, now),
+      multiplier,
+      lockBonus: getLockTier(slot.lockDays).bonus,
+      from: slot.lastSettledTime || slot.stakedAt,
+      to: now,
+    }))
+    .filter(settlement => settlement.amount > 0);
+  const settledAmount = settlements.reduce((sum, settlement) => sum + settlement.amount, 0);
+  const slots = stakingState.slots.map(slot => (slot.nftId !== null ? { ...slot, lastSettledTime: now } : slot));
+  return { stakingState: { ...stakingState, slots }, settledAmount, settlements };
+};
+
+// Updated base cost for adding a slot
+const BASE_ADD_SLOT_EDINOSUR_COST = 200000;
+
+// Calculate dynamic cost for adding a new slot
+const calculateAddSlotCost = (currentSlotCount) => {
+  let baseCost = BASE_ADD_SLOT_EDINOSUR_COST;
+  if (currentSlotCount >= 4) {
+    const multiplier = Math.pow(1.5, currentSlotCount - 3); // 50% increase for each slot after the 4th
+    return baseCost * multiplier;
+  }
+  return baseCost;
+};
+
+// Total cost of buying `count` more slots on top of `currentSlotCount`
+const calculateNextSlotsCost = (currentSlotCount, count) => Array.from({ length: count }, (_, index) => calculateAddSlotCost(currentSlotCount + index))
+  .reduce((sum, cost) => sum + cost, 0);
+
+// Buys the next slot on the backend and resolves to { calculatedCost, burnAmount, daoAmount }
+const buyStakingSlot = () => callBackend('buyStakingSlot');
+
+// Daily $eDINOSUR of a staked set, given as NFTs paired with their slot's lock bonus
+const calculateDailyEarnings = (stakedEntries) => {
+  const multiplier = calculateMultiplier(stakedEntries.map(({ nft }) => nft));
+  return stakedEntries.reduce((sum, { nft, lockBonus }) => sum + nft.dailyEarning * (1 + lockBonus), 0) * multiplier;
+};
+
+// Planner rows: one per tier
+const PLANNER_NFT_OPTIONS = NFT_TIER_ORDER.map(tier => ({ key: tier, tier, label: tier }));
+const DAYS_PER_MONTH = 30;
+const PLANNER_MAX_EXTRA_SLOTS = 50;
+
+// Most NFTs of a planner row that can exist: the tier's supply
+const getPlannerOptionMax = (option) => NFT_TIERS[option.tier].supply;
+
+const clampPlannerInput = (value, max) => Math.min(max, Math.max(0, parseInt(value) || 0));
+
+// What-if calculator: projects earnings for a hypothetical staked set using the same
+// multiplier rules and slot costs as the live staking section
+const StakingYieldPlanner = ({ stakingState }) => {
+  const currentStaked = getStakedNFTs(stakingState);
+  const countCurrentByOption = () => PLANNER_NFT_OPTIONS.reduce((counts, option) => ({
+    ...counts,
+    [option.key]: currentStaked.filter(({ nft }) => nft.tier === option.tier).length,
+  }), {});
+
+  const [plannedCounts, setPlannedCounts] = useState(countCurrentByOption);
+  const [plannedLockDays, setPlannedLockDays] = useState(0);
+  const [extraSlots, setExtraSlots] = useState(0);
+
+  const plannedNFTs = PLANNER_NFT_OPTIONS.flatMap(option => Array.from({ length: plannedCounts[option.key] || 0 }, () => ({
+    tier: option.tier,
+    dailyEarning: NFT_TIERS[option.tier].dailyEarning,
+  })));
+  const lockBonus = getLockTier(plannedLockDays).bonus;
+  const plannedEvaluation = evaluateMultiplierRules(plannedNFTs);
+  const plannedDaily = calculateDailyEarnings(plannedNFTs.map(nft => ({ nft, lockBonus })));
+  const currentDaily = calculateDailyEarnings(currentStaked.map(({ nft, slot }) => ({ nft, lockBonus: getLockTier(slot.lockDays).bonus })));
+  const slotCount = stakingState.slots.length;
+  const nextSlotsCost = calculateNextSlotsCost(slotCount, extraSlots);
+  const dailyGain = plannedDaily - currentDaily;
+  const breakEvenDays = nextSlotsCost > 0 && dailyGain > 0 ? nextSlotsCost / dailyGain : null;
+  const missingSlots = Math.max(0, plannedNFTs.length - (slotCount + extraSlots));
+
+  return (
+    <div className="bg-gray-700 rounded-xl p-6 shadow-lg mb-8">
+      <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Yield Planner</h3>
+      <p className="text-base sm:text-lg text-gray-300 mb-4">Try out a staking setup before you buy slots. Projections use the current set bonuses and slot prices.</p>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4 text-left">
+        {PLANNER_NFT_OPTIONS.map(option => (
+          <label key={option.key} className="text-sm sm:text-base text-gray-300">
+            {option.label}
+            <input
+              type="number"
+              min="0"
+              max={getPlannerOptionMax(option)}
+              value={plannedCounts[option.key] || 0}
+              onChange={(e) => setPlannedCounts(prev => ({ ...prev, [option.key]: clampPlannerInput(e.target.value, getPlannerOptionMax(option)) }))}
+              className="w-full p-2 rounded-lg bg-gray-900 text-white border border-gray-600 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+          </label>
+        ))}
+        <label className="text-sm sm:text-base text-gray-300">
+          Lock
+          <select
+            value={plannedLockDays}
+            onChange={(e) => setPlannedLockDays(Number(e.target.value))}
+            className="w-full p-2 rounded-lg bg-gray-900 text-white border border-gray-600"
+          >
+            {STAKING_LOCK_TIERS.map(lockTier => <option key={lockTier.days} value={lockTier.days}>{lockTier.label}</option>)}
+          </select>
+        </label>
+        <label className="text-sm sm:text-base text-gray-300">
+          Slots to buy
+          <input
+            type="number"
+            min="0"
+            max={PLANNER_MAX_EXTRA_SLOTS}
+            value={extraSlots}
+            onChange={(e) => setExtraSlots(clampPlannerInput(e.target.value, PLANNER_MAX_EXTRA_SLOTS))}
+            className="w-full p-2 rounded-lg bg-gray-900 text-white border border-gray-600 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          />
+        </label>
+      </div>
+      <div className="flex flex-col sm:flex-row justify-center gap-3 mb-4">
+        <button
+          className="bg-gray-800 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-full text-sm shadow-md"
+          onClick={() => { setPlannedCounts(countCurrentByOption()); setExtraSlots(0); }}
+        >
+          Reset to My Staked NFTs
+        </button>
+        {missingSlots > 0 && (
+          <button
+            className="bg-gray-800 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-full text-sm shadow-md"
+            onClick={() => setExtraSlots(clampPlannerInput(extraSlots + missingSlots, PLANNER_MAX_EXTRA_SLOTS))}
+          >
+            Add the {missingSlots} Slot{missingSlots > 1 ? 's' : ''} Needed
+          </button>
+        )}
+      </div>
+      <div className="bg-gray-900 rounded-lg p-4 grid grid-cols-1 sm:grid-cols-2 gap-2 text-left text-sm sm:text-base text-gray-300">
+        <p>Multiplier: <span className="font-mono text-yellow-400">{plannedEvaluation.multiplier.toFixed(2)}x</span></p>
+        <p>Set bonuses: <span className="text-yellow-400">{plannedEvaluation.appliedRules.map(rule => rule.label).join(', ') || 'None'}</span></p>
+        <p>Daily earnings: <span className="font-mono text-yellow-400">{plannedDaily.toFixed(0)} $eDINOSUR</span></p>
+        <p>Monthly earnings: <span className="font-mono text-yellow-400">{(plannedDaily * DAYS_PER_MONTH).toFixed(0)} $eDINOSUR</span></p>
+        <p>Change vs. today: <span className="font-mono text-yellow-400">{dailyGain >= 0 ? '+' : ''}{dailyGain.toFixed(0)} $eDINOSUR/day</span></p>
+        <p>Cost of next {extraSlots} slot{extraSlots === 1 ? '' : 's'}: <span className="font-mono text-yellow-400">{nextSlotsCost.toFixed(0)} $eDINOSUR</span></p>
+        <p className="sm:col-span-2">Break-even: <span className="font-mono text-yellow-400">
+          {nextSlotsCost === 0 ? 'No slot purchase needed' : (breakEvenDays === null ? 'Never at this setup' : `${breakEvenDays.toFixed(1)} days`)}
+        </span></p>
+      </div>
+      {missingSlots > 0 && (
+        <p className="text-sm sm:text-base text-red-400 mt-3">This setup needs {missingSlots} more slot{missingSlots > 1 ? 's' : ''} than you would have.</p>
+      )}
+    </div>
+  );
+};
+
+const HISTORY_REASON_LABELS = {
+  'staking-accrual': 'Staking accrual',
+  'staking-claim': 'Staking rewards claimed',
+  'referral-claim': 'Referral earnings claimed',
+  'slot-purchase': 'Staking slot purchase',
+  'raffle-tickets': 'Raffle tickets',
+  'early-unstake-penalty': 'Early unstake penalty',
+  'tge-claim': 'Claimed as $DINOSUR for TGE',
+  'burn': 'Burnt',
+  'sale-vesting-claim': 'Vested sale tokens claimed for TGE',
+  'raffle-prize': 'Raffle prize',
+  'raffle-draw-prize': 'Weekly draw prize',
+  'affiliate-season-prize': 'Affiliate season prize',
+};
+const EARNINGS_HISTORY_LIMIT = 50; // Entries shown under Recent Activity
+
+// Adds the history written before the running totals existed to them, once. Entries older
+// than `earningsTotalsStartedAt` never change, so they're read outside the transaction.
+const backfillEarningsTotals = async (userId) => {
+  const stakingSnap = await getDoc(getUserStakingDocRef(userId));
+  const stakingData = stakingSnap.exists() ? stakingSnap.data() : {};
+  if (stakingData.earningsTotalsBackfilled) return false;
+  const cutoff = stakingData.earningsTotalsStartedAt || Date.now();
+  const historySnap = await getDocs(query(getUserEarningsHistoryRef(userId), where('createdAt', '<', cutoff)));
+  const entries = historySnap.docs.map(entryDoc => entryDoc.data());
+
+  return runLedgerTransaction(async (transaction) => {
+    const docSnap = await transaction.get(getUserStakingDocRef(userId));
+    const data = docSnap.exists() ? docSnap.data() : {};
+    // Another session backfilled already, or started the totals after our cutoff: try again later
+    if (data.earningsTotalsBackfilled || (data.earningsTotalsStartedAt || cutoff) !== cutoff) return false;
+    transaction.set(getUserStakingDocRef(userId), {
+      earningsTotals: buildEarningsTotalsUpdate(entries, cutoff),
+      earningsTotalsStartedAt: cutoff,
+      earningsTotalsBackfilled: true,
+    }, { merge: true });
+    return true;
+  });
+};
+
+// The latest `count` day or week buckets of the running totals, newest first
+const readEarningsTotals = (earningsTotals, period, count) => Object.entries((earningsTotals || {})[period] || {})
+  .map(([key, bucket]) => ({ key, accrued: bucket.accrued || 0, credited: bucket.credited || 0, spent: bucket.spent || 0 }))
+  .sort((a, b) => b.key.localeCompare(a.key))
+  .slice(0, count);
+
+const EarningsHistoryPanel = ({ userId, setModalMessage }) => {
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [earningsTotals, setEarningsTotals] = useState({});
+  const [aggregatePeriod, setAggregatePeriod] = useState('day');
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const historyQuery = query(getUserEarningsHistoryRef(userId), orderBy('createdAt', 'desc'), limit(EARNINGS_HISTORY_LIMIT));
+    const unsubscribe = onSnapshot(historyQuery, (querySnap) => {
+      setHistoryEntries(querySnap.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })));
+    }, (error) => {
+      console.error("Error fetching earnings history:", error);
+      setModalMessage(`Error loading earnings history: ${error.message}`);
+    });
+
+    return () => unsubscribe();
+  }, [userId, setModalMessage]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    backfillEarningsTotals(userId).catch(error => console.error("Error backfilling earnings totals:", error));
+    const unsubscribe = onSnapshot(getUserStakingDocRef(userId), (docSnap) => {
+      setEarningsTotals(docSnap.exists() ? docSnap.data().earningsTotals || {} : {});
+    }, (error) => console.error("Error fetching earnings totals:", error));
+
+    return () => unsubscribe();
+  }, [userId]);
+
+  const aggregates = readEarningsTotals(earningsTotals, aggregatePeriod, aggregatePeriod === 'day' ? 7 : 4);
+  const perNFTTotals = Object.entries(earningsTotals.perNFT || {})
+    .map(([nftId, total]) => ({ nftId, tier: total.tier, amount: total.amount || 0 }))
+    .sort((a, b) => b.amount - a.amount);
+
+  return (
+    <div className="bg-gray-700 rounded-xl p-6 shadow-lg mb-8 text-left">
+      <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4 text-center">Earnings History</h3>
+      {historyEntries.length === 0 ? (
+        <p className="text-base sm:text-lg text-gray-300 text-center">No $eDINOSUR activity recorded yet.</p>
+      ) : (
+        <>
+          <div className="flex justify-center gap-2 mb-4">
+            {['day', 'week'].map(period => (
+              <button
+                key={period}
+                className={`px-4 py-1 rounded-full text-sm font-semibold ${aggregatePeriod === period ? 'bg-green-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-green-500'}`}
+                onClick={() => setAggregatePeriod(period)}
+              >
+                {period === 'day' ? 'Daily' : 'Weekly'}
+              </button>
+            ))}
+          </div>
+          <div className="overflow-x-auto mb-6">
+            <table className="w-full text-sm sm:text-base text-gray-300">
+              <thead>
+                <tr className="text-green-300 border-b border-gray-600">
+                  <th className="py-2 pr-2">{aggregatePeriod === 'day' ? 'Day (UTC)' : 'Week of (UTC)'}</th>
+                  <th className="py-2 pr-2">Accrued</th>
+                  <th className="py-2 pr-2">Credited</th>
+                  <th className="py-2">Spent</th>
+                </tr>
+              </thead>
+              <tbody>
+                {aggregates.map(bucket => (
+                  <tr key={bucket.key} className="border-b border-gray-800 font-mono">
+                    <td className="py-2 pr-2 font-sans">{bucket.key}</td>
+                    <td className="py-2 pr-2">{bucket.accrued.toFixed(2)}</td>
+                    <td className="py-2 pr-2 text-green-300">+{bucket.credited.toFixed(2)}</td>
+                    <td className="py-2 text-red-400">-{bucket.spent.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {perNFTTotals.length > 0 && (
+            <>
+              <h4 className="text-xl font-bold text-yellow-300 mb-2">Earned per NFT</h4>
+              <ul className="text-sm sm:text-base text-gray-300 space-y-1 mb-6">
+                {perNFTTotals.map(total => (
+                  <li key={total.nftId}>{total.tier} #{total.nftId}: <span className="font-mono">{total.amount.toFixed(2)} $eDINOSUR</span></li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <h4 className="text-xl font-bold text-yellow-300 mb-2">Recent Activity</h4>
+          <div className="bg-gray-900 rounded-lg p-4 max-h-64 overflow-y-auto font-mono text-xs sm:text-sm text-gray-300">
+            {historyEntries.map(entry => (
+              <p key={entry.id} className="mb-1">
+                {new Date(entry.createdAt).toLocaleString()} · {HISTORY_REASON_LABELS[entry.reason] || entry.reason}
+                {entry.type === 'accrual' && ` (${entry.tier} #${entry.nftId}, ${entry.multiplier.toFixed(2)}x${entry.lockBonus > 0 ? `, +${(entry.lockBonus * 100).toFixed(0)}% lock` : ''})`}
+                {': '}
+                <span className={entry.type === 'debit' || entry.type === 'burn' ? 'text-red-400' : 'text-green-300'}>
+                  {entry.type === 'debit' || entry.type === 'burn' ? '-' : '+'}{entry.amount.toFixed(2)}
+                </span>
+              </p>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
 const NFTStakingSection = ({ userId, setModalMessage }) => {
-  const [stakedNFTs, setStakedNFTs] = useState([]);
-  const [totalEarned, setTotalEarned] = useState(0); // This now represents $eDINOSUR
+  const [stakingState, setStakingState] = useState(readStakingState());
+  const [vestingNFTs, setVestingNFTs] = useState([]); // Won NFTs waiting to unlock into the inventory
+  const [unclaimedEarned, setUnclaimedEarned] = useState(0); // Settled but not yet claimed $eDINOSUR
+  const [selectedNFTForSlot, setSelectedNFTForSlot] = useState({}); // slot id -> inventory NFT id chosen in that slot's picker
+  const [selectedLockForSlot, setSelectedLockForSlot] = useState({}); // slot id -> lock days chosen in that slot's picker
+  const [now, setNow] = useState(Date.now());
   const [loadingNFTs, setLoadingNFTs] = useState(true);
 
-  // Updated base cost for adding a slot
-  const BASE_ADD_SLOT_EDINOSUR_COST = 200000;
-  const ADD_SLOT_BURN_AMOUNT_PERCENTAGE = 0.5; // 50% of the calculated cost
-
   // Firestore path for user's staked NFTs and earnings
-  const userStakingDocRef = userId ? doc(db, `artifacts/${appId}/users/${userId}/data/staking`) : null;
+  const userStakingDocRef = userId ? getUserStakingDocRef(userId) : null;
 
-  // Function to get frame color based on NFT type
-  const getFrameColorClass = (type) => {
-    switch (type) {
+  // Function to get frame color based on NFT tier
+  const getFrameColorClass = (tier) => {
+    switch (tier) {
       case 'Common':
         return 'border-[#16797c]';
       case 'Rare':
@@ -303,35 +1277,8 @@ const NFTStakingSection = ({ userId, setModalMessage }) => {
       case 'Legend':
         return 'border-[#FA5C51]';
       default:
-        return 'border-gray-600'; // Default for new slots or unknown types
-    }
-  };
-
-  // Function to calculate the multiplier based on staked NFT types
-  const calculateMultiplier = (nfts) => {
-    let multiplier = 1.0;
-    const stakedTypes = new Set(nfts.filter(nft => nft.staked).map(nft => nft.type));
-
-    if (stakedTypes.has('Legend')) {
-      multiplier = 1.5;
-    } else if (stakedTypes.has('King')) {
-      multiplier = 1.3;
-    } else if (stakedTypes.has('Unique')) {
-      multiplier = 1.15;
-    } else if (stakedTypes.has('Common') || stakedTypes.has('Rare')) {
-      multiplier = 1.05;
-    }
-    return multiplier;
-  };
-
-  // Calculate dynamic cost for adding a new slot
-  const calculateAddSlotCost = (currentSlotCount) => {
-    let baseCost = BASE_ADD_SLOT_EDINOSUR_COST;
-    if (currentSlotCount >= 4) {
-      const multiplier = Math.pow(1.5, currentSlotCount - 3); // 50% increase for each slot after the 4th
-      return baseCost * multiplier;
+        return 'border-gray-600'; // Default for empty slots or unknown tiers
     }
-    return baseCost;
   };
 
   // Load initial data and set up real-time listener
@@ -344,16 +1291,14 @@ const NFTStakingSection = ({ userId, setModalMessage }) => {
     const unsubscribe = onSnapshot(userStakingDocRef, (docSnap) => {
       if (docSnap.exists()) {
         const data = docSnap.data();
-        setStakedNFTs(data.nfts || []);
-        setTotalEarned(data.earned || 0);
+        setStakingState(readStakingState(data));
+        setVestingNFTs(data.vestingNFTs || []);
+        setUnclaimedEarned(data.unclaimedEarned || 0);
       } else {
-        // Initialize with 3 default NFTs if document doesn't exist
-        setStakedNFTs([
-          { id: 1, type: 'Common', earning: 5000, staked: false, lastStakedTime: 0 },
-          { id: 2, type: 'Rare', earning: 10000, staked: false, lastStakedTime: 0 },
-          { id: 3, type: 'Unique', earning: 15000, staked: false, lastStakedTime: 0 },
-        ]);
-        setTotalEarned(0);
+        // Start with empty slots and no NFTs if document doesn't exist
+        setStakingState(readStakingState());
+        setVestingNFTs([]);
+        setUnclaimedEarned(0);
       }
       setLoadingNFTs(false);
     }, (error) => {
@@ -365,68 +1310,122 @@ const NFTStakingSection = ({ userId, setModalMessage }) => {
     return () => unsubscribe();
   }, [userId, userStakingDocRef, setModalMessage]);
 
-  // Simulate earning over time (client-client)
+  // Refresh the clock used for the live accrual display. Nothing is persisted here:
+  // the balance is always derived from the stored timestamps.
   useEffect(() => {
     if (!userId || loadingNFTs) return;
 
-    const interval = setInterval(() => {
-      let baseDailyEarnings = 0;
-      const currentlyStakedNFTs = stakedNFTs.filter(nft => nft.staked);
-      currentlyStakedNFTs.forEach(nft => {
-        baseDailyEarnings += nft.earning;
-      });
-
-      const currentMultiplier = calculateMultiplier(stakedNFTs);
-      const actualDailyEarnings = baseDailyEarnings * currentMultiplier;
-
-      setTotalEarned(prev => prev + actualDailyEarnings / (24 * 60 * 60)); // Simulate per second earning
-    }, 1000); // Update every second
+    const interval = setInterval(() => setNow(Date.now()), 1000); // Update every second
 
     return () => clearInterval(interval);
-  }, [userId, loadingNFTs, stakedNFTs]); // Depend on stakedNFTs to recalculate multiplier
+  }, [userId, loadingNFTs]);
 
-  const updateFirestoreStaking = async (updatedNFTs, updatedEarned, updatedReadyToBurnEDinosur) => {
-    if (!userStakingDocRef) {
+  // Settle accruals at the current multiplier before the staked set (and so the multiplier)
+  // changes, then put `nftId` into the slot with the chosen lock (or empty it when `nftId`
+  // is null, charging the early-unstake penalty if the slot is still locked)
+  const changeSlotContents = async (slotId, nftId, lockDays = 0) => {
+    if (!userId) {
       setModalMessage("Please connect your wallet to save staking data.");
-      return;
+      return null;
     }
     try {
-      await setDoc(userStakingDocRef, {
-        nfts: updatedNFTs,
-        earned: updatedEarned,
-        readyToBurnEDinosur: updatedReadyToBurnEDinosur // Ensure this is updated
-      }, { merge: true });
+      return await runLedgerTransaction(async (transaction) => {
+        const account = await openLedgerAccount(transaction, userId);
+        const settledAt = Date.now();
+        const { stakingState: settledState, settledAmount, settlements } = settleStakingAccruals(readStakingState(account.data), settledAt);
+        ledgerRecordSettlements(account, settlements);
+        const slot = settledState.slots.find(item => item.id === slotId);
+        if (!slot) {
+          throw new Error(`Slot #${slotId} does not exist.`);
+        }
+        let penalty = 0;
+        if (nftId !== null) {
+          if (slot.nftId !== null) {
+            throw new Error(`Slot #${slotId} already holds an NFT.`);
+          }
+          if (!settledState.inventory.some(nft => nft.id === nftId)) {
+            throw new Error(`You don't own NFT #${nftId}.`);
+          }
+          if (settledState.slots.some(item => item.nftId === nftId)) {
+            throw new Error(`NFT #${nftId} is already staked.`);
+          }
+        } else if (slot.nftId !== null) {
+          const stakedNFT = settledState.inventory.find(nft => nft.id === slot.nftId);
+          penalty = stakedNFT ? calculateEarlyUnstakePenalty(stakedNFT, slot, settledAt) : 0;
+          if (penalty > 0) {
+            ledgerDebit(account, penalty, 'early-unstake-penalty', {
+              burnShare: EARLY_UNSTAKE_PENALTY_BURN_SHARE,
+              daoShare: 1 - EARLY_UNSTAKE_PENALTY_BURN_SHARE,
+            });
+          }
+        }
+        const lockTier = getLockTier(lockDays);
+        const slots = settledState.slots.map(item => {
+          if (item.id !== slotId) return item;
+          return nftId !== null
+            ? { ...item, nftId, stakedAt: settledAt, lastSettledTime: settledAt, lockDays: lockTier.days, lockedUntil: lockTier.days > 0 ? settledAt + lockTier.days * MS_PER_DAY : 0 }
+            : { ...item, nftId: null, stakedAt: 0, lastSettledTime: 0, lockDays: 0, lockedUntil: 0 };
+        });
+        commitLedgerAccount(transaction, account, {
+          ...stakingStateFields({ ...settledState, slots }),
+          unclaimedEarned: (account.data.unclaimedEarned || 0) + settledAmount,
+        });
+        return { penalty };
+      });
     } catch (error) {
       console.error("Error updating staking data:", error);
-      setModalMessage(`Failed to update staking data: ${error.message}`);
+      if (error instanceof InsufficientFundsError) {
+        setModalMessage(`Unstaking before the lock ends costs a penalty. ${error.message} Claim your staking rewards first or wait for the lock to end.`);
+      } else {
+        setModalMessage(error instanceof LedgerError ? error.message : `Failed to update staking data: ${error.message}`);
+      }
+      return null;
     }
   };
 
-  const handleStakeNFT = (id) => {
-    const updatedNFTs = stakedNFTs.map(nft =>
-      nft.id === id ? { ...nft, staked: true, lastStakedTime: Date.now() } : nft
-    );
-    setStakedNFTs(updatedNFTs);
-    updateFirestoreStaking(updatedNFTs, totalEarned, stakedNFTs.readyToBurnEDinosur); // Pass current readyToBurnEDinosur
-    setModalMessage(`NFT #${id} staked successfully!`);
+  const handleStakeNFT = async (slotId) => {
+    const nftId = selectedNFTForSlot[slotId] ?? unstakedNFTs[0]?.id;
+    if (nftId === undefined) {
+      setModalMessage("You have no unstaked NFTs to put in this slot.");
+      return;
+    }
+    const lockTier = getLockTier(selectedLockForSlot[slotId]);
+    if (await changeSlotContents(slotId, nftId, lockTier.days)) {
+      setModalMessage(lockTier.days > 0
+        ? `NFT #${nftId} staked with a ${lockTier.label} (+${(lockTier.bonus * 100).toFixed(0)}% earnings)!`
+        : `NFT #${nftId} staked successfully!`);
+    }
   };
 
-  const handleUnstakeNFT = (id) => {
-    const updatedNFTs = stakedNFTs.map(nft =>
-      nft.id === id ? { ...nft, staked: false, lastStakedTime: 0 } : nft
-    );
-    setStakedNFTs(updatedNFTs);
-    updateFirestoreStaking(updatedNFTs, totalEarned, stakedNFTs.readyToBurnEDinosur); // Pass current readyToBurnEDinosur
-    setModalMessage(`NFT #${id} unstaked.`);
+  const handleUnstakeNFT = async (slotId, nftId) => {
+    const result = await changeSlotContents(slotId, null);
+    if (result) {
+      setModalMessage(result.penalty > 0
+        ? `NFT #${nftId} unstaked early. A penalty of ${result.penalty.toFixed(0)} $eDINOSUR was split between burn and the DAO.`
+        : `NFT #${nftId} unstaked.`);
+    }
   };
 
-  const handleClaimReward = () => {
-    if (totalEarned > 0) {
-      setModalMessage(`Claimed ${totalEarned.toFixed(2)} $eDINOSUR!`);
-      setTotalEarned(0); // Reset after claiming
-      updateFirestoreStaking(stakedNFTs, 0, stakedNFTs.readyToBurnEDinosur); // Pass current readyToBurnEDinosur
-    } else {
-      setModalMessage("No $eDINOSUR to claim yet!");
+  const handleClaimReward = async () => {
+    if (!userId) {
+      setModalMessage("Please connect your wallet to claim rewards.");
+      return;
+    }
+    try {
+      const claimAmount = await runLedgerTransaction(async (transaction) => {
+        const account = await openLedgerAccount(transaction, userId);
+        const { stakingState: settledState, settledAmount, settlements } = settleStakingAccruals(readStakingState(account.data), Date.now());
+        const amount = (account.data.unclaimedEarned || 0) + settledAmount;
+        if (amount <= 0) return 0;
+        ledgerRecordSettlements(account, settlements);
+        ledgerCredit(account, amount, 'staking-claim');
+        commitLedgerAccount(transaction, account, { ...stakingStateFields(settledState), unclaimedEarned: 0 });
+        return amount;
+      });
+      setModalMessage(claimAmount > 0 ? `Claimed ${claimAmount.toFixed(2)} $eDINOSUR!` : "No $eDINOSUR to claim yet!");
+    } catch (error) {
+      console.error("Error claiming staking rewards:", error);
+      setModalMessage(error instanceof LedgerError ? error.message : `Failed to claim rewards: ${error.message}`);
     }
   };
 
@@ -437,39 +1436,21 @@ const NFTStakingSection = ({ userId, setModalMessage }) => {
     }
 
     try {
-      const docSnap = await getDoc(userStakingDocRef);
-      let currentData = docSnap.exists() ? docSnap.data() : { earned: 0, readyToBurnEDinosur: 0, nfts: [] };
-      let currentEDinosurBalance = currentData.earned || 0;
-      let currentReadyToBurnEDinosur = currentData.readyToBurnEDinosur || 0;
-      let currentNFTs = currentData.nfts || [];
-
-      const calculatedCost = calculateAddSlotCost(currentNFTs.length);
-
-      // Logic for eDINOSUR purchase
-      if (currentEDinosurBalance >= calculatedCost) {
-        const remainingEDinosur = currentEDinosurBalance - calculatedCost;
-        const burnAmount = calculatedCost * ADD_SLOT_BURN_AMOUNT_PERCENTAGE; // 50% of the calculated cost
-        const daoAmount = calculatedCost - burnAmount; // Remaining 50% to DAO
-        const newReadyToBurnEDinosur = currentReadyToBurnEDinosur + burnAmount;
-
-        const newId = currentNFTs.length > 0 ? Math.max(...currentNFTs.map(n => n.id)) + 1 : 1;
-        const newNFT = { id: newId, type: 'New Slot', earning: 0, staked: false, lastStakedTime: 0 };
-        const updatedNFTs = [...currentNFTs, newNFT];
-
-        setModalMessage(`You are about to buy a slot for ${calculatedCost.toFixed(0)} $eDINOSUR. ${burnAmount.toFixed(0)} $eDINOSUR will be burnt, and ${daoAmount.toFixed(0)} $eDINOSUR will go to DAO.`);
-        setStakedNFTs(updatedNFTs);
-        await updateFirestoreStaking(updatedNFTs, remainingEDinosur, newReadyToBurnEDinosur);
-      } else {
-        setModalMessage(`Insufficient $eDINOSUR. You need ${calculatedCost.toFixed(2)} $eDINOSUR but have ${currentEDinosurBalance.toFixed(2)}.`);
-      }
+      const { calculatedCost, burnAmount, daoAmount } = await buyStakingSlot();
+      setModalMessage(`You bought a slot for ${calculatedCost.toFixed(0)} $eDINOSUR. ${burnAmount.toFixed(0)} $eDINOSUR will be burnt, and ${daoAmount.toFixed(0)} $eDINOSUR will go to DAO.`);
     } catch (error) {
       console.error("Error adding slot:", error);
-      setModalMessage(`Failed to add slot: ${error.message}`);
+      setModalMessage(error instanceof LedgerError ? error.message : `Failed to add slot: ${error.message}`);
     }
   };
 
-  const currentSlotCount = stakedNFTs.length;
+  const currentSlotCount = stakingState.slots.length;
   const currentEDinosurSlotCost = calculateAddSlotCost(currentSlotCount);
+  const totalEarned = unclaimedEarned + calculatePendingEarnings(stakingState, now);
+  const stakedNFTs = getStakedNFTs(stakingState).map(({ nft }) => nft);
+  const unstakedNFTs = stakingState.inventory.filter(nft => !stakingState.slots.some(slot => slot.nftId === nft.id));
+  const multiplierEvaluation = evaluateMultiplierRules(stakedNFTs);
+  const nextMultiplierUnlocks = findNextMultiplierUnlocks(stakedNFTs);
 
   if (loadingNFTs) {
     return (
@@ -492,35 +1473,77 @@ const NFTStakingSection = ({ userId, setModalMessage }) => {
           When you acquire new staking slots, 50% of the $eDINOSUR or $DINOSUR token used for the purchase will be permanently burnt, reducing the total supply and increasing scarcity. The remaining 50% will be allocated to the DAO treasury, funding future development, community initiatives, and ecosystem growth.
         </p>
 
+        <p className="text-base sm:text-xl text-gray-200 mb-4 sm:mb-6 leading-relaxed">
+          Lock an NFT when you stake it to boost its earnings: {STAKING_LOCK_TIERS.filter(lockTier => lockTier.days > 0).map(lockTier => `${lockTier.label} +${(lockTier.bonus * 100).toFixed(0)}%`).join(', ')}. Unstaking before the lock ends costs a penalty in $eDINOSUR, half of which is burnt and half sent to the DAO treasury.
+        </p>
+
         <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Your Staking Slots</h3>
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-4 sm:gap-6 mb-6 sm:mb-8">
-          {stakedNFTs.map((nft) => (
-            <div key={nft.id} className={`bg-gray-700 rounded-xl p-4 shadow-lg flex flex-col items-center justify-between min-h-[180px] sm:min-h-[200px] border-4 ${getFrameColorClass(nft.type)}`}>
-              <img
-                src={`https://placehold.co/120x120/08D199/FFFFFF?text=${nft.type}+NFT`}
-                alt={`${nft.type} NFT`}
-                className="w-20 h-20 sm:w-24 sm:h-24 object-cover rounded-lg mb-2 sm:mb-3"
-                onError={(e) => { e.target.onerror = null; e.target.src="https://placehold.co/120x120/08D199/FFFFFF?text=NFT"; }}
-              />
-              <h4 className="text-lg sm:text-xl font-bold text-green-300 mb-1">{nft.type} NFT #{nft.id}</h4>
-              <p className="text-gray-300 text-xs sm:text-sm mb-2 sm:mb-3">{nft.staked ? 'Staked' : 'Unstaked'}</p>
-              {nft.staked ? (
-                <button
-                  className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-full text-sm shadow-md"
-                  onClick={() => handleUnstakeNFT(nft.id)}
-                >
-                  Unstake
-                </button>
-              ) : (
-                <button
-                  className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-full text-sm shadow-md"
-                  onClick={() => handleStakeNFT(nft.id)}
-                >
-                  Stake NFT
-                </button>
-              )}
-            </div>
-          ))}
+          {stakingState.slots.map((slot) => {
+            const nft = stakingState.inventory.find(item => item.id === slot.nftId);
+            return (
+              <div key={slot.id} className={`bg-gray-700 rounded-xl p-4 shadow-lg flex flex-col items-center justify-between min-h-[180px] sm:min-h-[200px] border-4 ${getFrameColorClass(nft?.tier)}`}>
+                {nft ? (
+                  <>
+                    <img
+                      src={`https://placehold.co/120x120/08D199/FFFFFF?text=${nft.tier}+NFT`}
+                      alt={`${nft.tier} NFT`}
+                      className="w-20 h-20 sm:w-24 sm:h-24 object-cover rounded-lg mb-2 sm:mb-3"
+                      onError={(e) => { e.target.onerror = null; e.target.src="https://placehold.co/120x120/08D199/FFFFFF?text=NFT"; }}
+                    />
+                    <h4 className="text-lg sm:text-xl font-bold text-green-300 mb-1">{nft.tier} NFT #{nft.id}</h4>
+                    {nft.element && <p className="text-yellow-300 text-xs sm:text-sm">{nft.element} Element</p>}
+                    <p className="text-gray-300 text-xs sm:text-sm mb-1">Staked in slot #{slot.id} · {(nft.dailyEarning * (1 + getLockTier(slot.lockDays).bonus)).toLocaleString()} $eDINOSUR/day</p>
+                    {slot.lockedUntil > now ? (
+                      <p className="text-yellow-300 text-xs sm:text-sm mb-2 sm:mb-3 font-mono">{getLockTier(slot.lockDays).label} · unlocks in {formatCountdown(slot.lockedUntil, now)}</p>
+                    ) : (
+                      <p className="text-gray-400 text-xs sm:text-sm mb-2 sm:mb-3">{slot.lockDays > 0 ? `${getLockTier(slot.lockDays).label} · unlocked` : 'Flexible'}</p>
+                    )}
+                    <button
+                      className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-full text-sm shadow-md"
+                      onClick={() => handleUnstakeNFT(slot.id, nft.id)}
+                    >
+                      {slot.lockedUntil > now ? `Unstake Early (-${calculateEarlyUnstakePenalty(nft, slot, now).toLocaleString()})` : 'Unstake'}
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <h4 className="text-lg sm:text-xl font-bold text-green-300 mb-1">Empty Slot #{slot.id}</h4>
+                    {unstakedNFTs.length > 0 ? (
+                      <>
+                        <select
+                          value={selectedNFTForSlot[slot.id] ?? unstakedNFTs[0].id}
+                          onChange={(e) => setSelectedNFTForSlot(prev => ({ ...prev, [slot.id]: unstakedNFTs.find(item => String(item.id) === e.target.value)?.id }))}
+                          className="w-full p-2 mb-2 sm:mb-3 rounded-lg bg-gray-900 text-white border border-gray-600 text-xs sm:text-sm"
+                        >
+                          {unstakedNFTs.map(item => (
+                            <option key={item.id} value={item.id}>{item.tier}{item.element ? ` (${item.element})` : ''} #{item.id}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={selectedLockForSlot[slot.id] ?? 0}
+                          onChange={(e) => setSelectedLockForSlot(prev => ({ ...prev, [slot.id]: Number(e.target.value) }))}
+                          className="w-full p-2 mb-2 sm:mb-3 rounded-lg bg-gray-900 text-white border border-gray-600 text-xs sm:text-sm"
+                        >
+                          {STAKING_LOCK_TIERS.map(lockTier => (
+                            <option key={lockTier.days} value={lockTier.days}>{lockTier.label}{lockTier.bonus > 0 ? ` (+${(lockTier.bonus * 100).toFixed(0)}%)` : ''}</option>
+                          ))}
+                        </select>
+                        <button
+                          className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-full text-sm shadow-md"
+                          onClick={() => handleStakeNFT(slot.id)}
+                        >
+                          Stake NFT
+                        </button>
+                      </>
+                    ) : (
+                      <p className="text-gray-400 text-xs sm:text-sm">No unstaked NFTs in your inventory.</p>
+                    )}
+                  </>
+                )}
+              </div>
+            );
+          })}
           <div className="bg-gray-700 rounded-xl p-4 shadow-lg flex flex-col items-center justify-center min-h-[180px] sm:min-h-[200px] border-4 border-gray-600">
             <h4 className="text-xl font-bold text-green-300 mb-4">Add New Slot</h4>
             <div className="flex justify-center items-center gap-4 mb-4">
@@ -538,13 +1561,88 @@ const NFTStakingSection = ({ userId, setModalMessage }) => {
         </div>
 
         <div className="bg-gray-700 rounded-xl p-6 shadow-lg mb-8">
-          <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Earning Monitor</h3>
-          <div className="bg-gray-900 border-4 border-yellow-500 rounded-lg p-4 mb-4 shadow-inner">
-            <p className="text-4xl sm:text-5xl font-extrabold text-yellow-400 font-mono tracking-wider text-center">
-              {totalEarned.toFixed(2)} <span className="text-2xl sm:text-3xl">$eDINOSUR</span>
+          <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Your NFT Inventory</h3>
+          {stakingState.inventory.length === 0 && vestingNFTs.length === 0 ? (
+            <p className="text-base sm:text-lg text-gray-300">You don't own any Dino Fighter G1 NFTs yet. NFTs from the Genesis Sale, Raffle Slot prizes and airdrops will appear here.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm sm:text-base text-gray-300">
+                <thead>
+                  <tr className="text-green-300 border-b border-gray-600">
+                    <th className="py-2 pr-2">NFT</th>
+                    <th className="py-2 pr-2">Element</th>
+                    <th className="py-2 pr-2">Daily Rate</th>
+                    <th className="py-2 pr-2">Origin</th>
+                    <th className="py-2">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stakingState.inventory.map(nft => {
+                    const holdingSlot = stakingState.slots.find(slot => slot.nftId === nft.id);
+                    return (
+                      <tr key={nft.id} className="border-b border-gray-800">
+                        <td className="py-2 pr-2 font-semibold">{nft.tier} #{nft.id}</td>
+                        <td className="py-2 pr-2">{nft.element || '-'}</td>
+                        <td className="py-2 pr-2 font-mono">{nft.dailyEarning.toLocaleString()} $eDINOSUR</td>
+                        <td className="py-2 pr-2">{NFT_ORIGINS[nft.origin] || nft.origin}</td>
+                        <td className="py-2">{holdingSlot ? `Staked in slot #${holdingSlot.id}` : 'Unstaked'}</td>
+                      </tr>
+                    );
+                  })}
+                  {vestingNFTs.map(nft => (
+                    <tr key={`vesting-${nft.id}`} className="border-b border-gray-800 text-gray-400">
+                      <td className="py-2 pr-2 font-semibold">{nft.tier} #{nft.id}</td>
+                      <td className="py-2 pr-2">{nft.element || '-'}</td>
+                      <td className="py-2 pr-2 font-mono">{nft.dailyEarning.toLocaleString()} $eDINOSUR</td>
+                      <td className="py-2 pr-2">{NFT_ORIGINS[nft.origin] || nft.origin}</td>
+                      <td className="py-2 text-yellow-400">Vesting, unlocks in {formatCountdown(nft.unlocksAt, now)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-gray-700 rounded-xl p-6 shadow-lg mb-8">
+          <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Earning Monitor</h3>
+          <div className="bg-gray-900 border-4 border-yellow-500 rounded-lg p-4 mb-4 shadow-inner">
+            <p className="text-4xl sm:text-5xl font-extrabold text-yellow-400 font-mono tracking-wider text-center">
+              {totalEarned.toFixed(2)} <span className="text-2xl sm:text-3xl">$eDINOSUR</span>
             </p>
           </div>
-          <p className="text-base sm:text-lg text-gray-300 mb-4">Current Multiplier: <span className="font-mono">{calculateMultiplier(stakedNFTs).toFixed(2)}x</span></p>
+          <p className="text-base sm:text-lg text-gray-300 mb-4">Current Multiplier: <span className="font-mono">{multiplierEvaluation.multiplier.toFixed(2)}x</span></p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4 text-left text-sm sm:text-base">
+            <div className="bg-gray-800 rounded-lg p-4">
+              <h4 className="font-bold text-yellow-300 mb-2">Active Set Bonuses</h4>
+              {multiplierEvaluation.activeRules.length === 0 ? (
+                <p className="text-gray-400">No set bonus active. Stake a Common and a Rare together to start one.</p>
+              ) : (
+                <ul className="space-y-1 text-gray-300">
+                  {multiplierEvaluation.activeRules.map(rule => (
+                    <li key={rule.id} className={multiplierEvaluation.appliedRules.includes(rule) ? '' : 'text-gray-500 line-through'}>
+                      {rule.label}: <span className="font-mono">{rule.mode === 'override' ? `${rule.multiplier.toFixed(2)}x` : `+${rule.bonus.toFixed(2)}x`}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className="bg-gray-800 rounded-lg p-4">
+              <h4 className="font-bold text-yellow-300 mb-2">Stake One More To Unlock</h4>
+              {nextMultiplierUnlocks.length === 0 ? (
+                <p className="text-gray-400">No single NFT would raise your multiplier right now.</p>
+              ) : (
+                <ul className="space-y-1 text-gray-300">
+                  {nextMultiplierUnlocks.map(({ candidate, unlockedRules, multiplier }) => (
+                    <li key={candidate.tier}>
+                      {candidate.tier}: {unlockedRules.map(rule => rule.label).join(', ')} → <span className="font-mono">{multiplier.toFixed(2)}x</span>
+                      {unstakedNFTs.some(nft => nft.tier === candidate.tier) && <span className="text-green-300"> (in your inventory)</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
           <div className="flex flex-col sm:flex-row justify-center gap-3 sm:gap-4">
             <button
               className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-full text-base sm:text-lg shadow-md"
@@ -561,6 +1659,10 @@ const NFTStakingSection = ({ userId, setModalMessage }) => {
           </div>
         </div>
 
+        <StakingYieldPlanner stakingState={stakingState} />
+
+        <EarningsHistoryPanel userId={userId} setModalMessage={setModalMessage} />
+
         <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">NFT Earning Details</h3>
         <p className="text-base sm:text-xl text-gray-200 mb-4 sm:mb-6 leading-relaxed">
           Here's how your daily $eDINOSUR income breaks down by rarity when you stake your Dino Fighter G1 NFTs:
@@ -580,15 +1682,148 @@ const NFTStakingSection = ({ userId, setModalMessage }) => {
   );
 };
 
+// Token Generation Event config shared by every client. `tgeTime` stays null until TGE is scheduled.
+const tgeConfigDocRef = doc(db, `artifacts/${appId}/public/data/config/tge`);
+
+const getUserSalePurchaseDocRef = (userId) => doc(db, `artifacts/${appId}/users/${userId}/data/eDinoSalePurchases`);
+
+// Public Sale vesting from the tokenomics: 30% unlocked at TGE, the remaining 70% linearly over 6 months
+const SALE_VESTING_TGE_UNLOCK_SHARE = 0.3;
+const SALE_VESTING_LINEAR_MONTHS = 6;
+
+// Share of every sale allocation that has vested at `now`
+const calculateSaleVestedShare = (tgeTime, now) => {
+  if (!tgeTime || now < tgeTime) return 0;
+  const linearDurationMs = SALE_VESTING_LINEAR_MONTHS * DAYS_PER_MONTH * MS_PER_DAY;
+  const linearShare = Math.min(1, (now - tgeTime) / linearDurationMs);
+  return SALE_VESTING_TGE_UNLOCK_SHARE + (1 - SALE_VESTING_TGE_UNLOCK_SHARE) * linearShare;
+};
+
+// Allocated, vested, already claimed and currently claimable sale tokens of a purchase document
+const calculateSaleVesting = (purchaseData, tgeTime, now) => {
+  const allocated = purchaseData.totalAllocatedTokens || 0;
+  const vested = allocated * calculateSaleVestedShare(tgeTime, now);
+  const claimed = purchaseData.claimedSaleTokens || 0;
+  return { allocated, vested, claimed, claimable: Math.max(0, vested - claimed) };
+};
+
+// Sale schedule, price curve and caps shared by every client. Fields missing from the
+// document fall back to DEFAULT_SALE_CONFIG; `saleStartTime` stays null until the sale is scheduled.
+const saleConfigDocRef = doc(db, `artifacts/${appId}/public/data/eDinoSale/config`);
+
+const DEFAULT_SALE_CONFIG = {
+  saleStartTime: null,
+  epochDurationDays: 7,
+  initialPrice: 0.00005, // $ per $eDINOSUR
+  priceIncreaseFactor: 1.10, // 10% increase per epoch
+  saleTotalTokens: 5_000_000_000, // 1% of the 500 Billion $DINOSUR supply
+  maxEpochAllocationPercentage: 0.05, // 5% of saleTotalTokens per epoch
+  // Access windows in priority order. Each epoch opens to a window `opensAfterHours` after the
+  // epoch starts, and stays open for it until the epoch ends. A buyer belongs to the first
+  // window they qualify for: `allowlist` needs an allowlist entry, `nftTiers` needs an owned
+  // NFT of one of those tiers, staked or not. The window's caps are per wallet, in USD.
+  accessTiers: [
+    { id: 'allowlist', label: 'Allowlist', allowlist: true, opensAfterHours: 0, maxEpochPurchaseUSD: 500, maxWalletPurchaseUSD: 2000 },
+    { id: 'nft-holder', label: 'King & Legend Holders', nftTiers: ['King', 'Legend'], opensAfterHours: 24, maxEpochPurchaseUSD: 400, maxWalletPurchaseUSD: 1500 },
+    { id: 'public', label: 'Public', opensAfterHours: 48, maxEpochPurchaseUSD: 250, maxWalletPurchaseUSD: 1000 },
+  ],
+  // Payment through the buyer's EIP-1193 wallet. 31337 is the Anvil/Hardhat dev chain.
+  paymentChainId: 31337,
+  paymentReceiver: null, // Address receiving sale payments; purchases are disabled until set
+  paymentToken: null, // ERC-20 stablecoin address, or null to pay in the native token
+  paymentTokenSymbol: 'USDT',
+  paymentTokenDecimals: 6,
+  nativeTokenSymbol: 'ETH',
+  nativeTokenPriceUSD: null, // Required when paying in the native token
+  paymentConfirmations: 1,
+};
+
+const SALE_SCHEDULE_PREVIEW_EPOCHS = 6;
+
+// Config documents from before access windows had one flat pair of caps for everyone. Those
+// become the public window's caps; the earlier windows keep their defaults.
+const readSaleConfig = (data = {}) => {
+  const { maxEpochPurchaseUSD, maxWalletPurchaseUSD, ...fields } = data;
+  const config = { ...DEFAULT_SALE_CONFIG, ...fields };
+  if (!fields.accessTiers && (maxEpochPurchaseUSD !== undefined || maxWalletPurchaseUSD !== undefined)) {
+    config.accessTiers = DEFAULT_SALE_CONFIG.accessTiers.map(accessTier => (accessTier.id === 'public' ? {
+      ...accessTier,
+      maxEpochPurchaseUSD: maxEpochPurchaseUSD ?? accessTier.maxEpochPurchaseUSD,
+      maxWalletPurchaseUSD: maxWalletPurchaseUSD ?? accessTier.maxWalletPurchaseUSD,
+    } : accessTier));
+  }
+  return config;
+};
+
+const getSaleEpochStartTime = (config, epoch) => config.saleStartTime + epoch * config.epochDurationDays * MS_PER_DAY;
+
+// Epoch running at `now`, or -1 while the sale is unscheduled or hasn't started
+const getSaleEpochAt = (config, now) => {
+  if (config.saleStartTime === null || now < config.saleStartTime) return -1;
+  return Math.floor((now - config.saleStartTime) / (config.epochDurationDays * MS_PER_DAY));
+};
+
+const getSaleEpochPrice = (config, epoch) => config.initialPrice * Math.pow(config.priceIncreaseFactor, epoch);
+
+const getSaleEpochAllocationTokens = (config) => config.saleTotalTokens * config.maxEpochAllocationPercentage;
+
+// Presence of a user's document marks them as allowlisted for the sale
+const getSaleAllowlistDocRef = (userId) => doc(db, `artifacts/${appId}/public/data/eDinoSaleAllowlist/${userId}`);
+
+// `eligibility` is { allowlisted, inventory } for the buyer
+const isEligibleForSaleAccessTier = (accessTier, eligibility) => {
+  if (accessTier.allowlist) return eligibility.allowlisted;
+  if (accessTier.nftTiers) return eligibility.inventory.some(nft => accessTier.nftTiers.includes(nft.tier));
+  return true;
+};
+
+// Highest-priority access window the buyer qualifies for, or null
+const getSaleAccessTier = (config, eligibility) => config.accessTiers.find(accessTier => isEligibleForSaleAccessTier(accessTier, eligibility)) || null;
+
+const getSaleAccessOpenTime = (config, epoch, accessTier) => getSaleEpochStartTime(config, epoch) + accessTier.opensAfterHours * 60 * 60 * 1000;
+
+// Tokens sold across all buyers: { totalSoldTokens, epochSoldTokens: { [epoch]: tokens } }.
+// Every purchase is counted here when it's reserved, and handed back if its payment fails.
+const saleStateDocRef = doc(db, `artifacts/${appId}/public/data/eDinoSale/state`);
+
+// Tokens still for sale in `epoch`, limited by both the epoch cap and the overall sale cap
+const calculateRemainingSaleTokens = (saleState, epoch, epochCapTokens, saleCapTokens) => {
+  const epochSold = (saleState.epochSoldTokens || {})[epoch] || 0;
+  const totalSold = saleState.totalSoldTokens || 0;
+  return Math.max(0, Math.min(epochCapTokens - epochSold, saleCapTokens - totalSold));
+};
+
+// A purchase is reserved before the wallet is asked to pay: the reservation is counted against
+// every cap straight away and kept on the buyer's purchase doc as `pendingPurchase`, together
+// with the transaction hash once the wallet has broadcast the payment. Whoever loads the sale
+// next (this tab or another) settles it from that hash. Reservations the wallet never sent are
+// released after they expire; a payment the wallet sends after that restores them. The backend
+// makes every reservation, so the epoch, price and access window follow the server clock.
+
+// Reserves `purchase` ({ epoch, price, tokens }) for the buyer and resolves to the pending purchase
+const reserveSalePurchase = (purchase) => callBackend('reserveSalePurchase', purchase);
+
+// Stores the broadcast payment on the reservation so it can be settled after a reload
+const recordSalePaymentSubmitted = (pendingPurchaseId, payment) => callBackend('recordSalePaymentSubmitted', { pendingPurchaseId, payment });
+
+// Hands a reservation back to the sale. Resolves to false if it was already settled or released.
+const releaseSalePurchase = (pendingPurchaseId) => callBackend('releaseSalePurchase', { pendingPurchaseId });
+
+// Turns a reservation whose payment confirmed into a token allocation vesting from TGE.
+// Resolves to the allocation, or null if the reservation was already settled.
+const completeSalePurchase = (pendingPurchaseId) => callBackend('completeSalePurchase', { pendingPurchaseId });
+
 // New $eDINOSUR Section Component
 const EDinosurSection = ({ userId, setModalMessage }) => {
   const [eDinosurBalance, setEDinosurBalance] = useState(0);
   const [readyToBurnEDinosur, setReadyToBurnEDinosur] = useState(0);
   const [totalBurntEDinosur, setTotalBurntEDinosur] = useState(0);
+  const [salePurchaseData, setSalePurchaseData] = useState({});
+  const [tgeTime, setTgeTime] = useState(null);
   const [loadingEDinosur, setLoadingEDinosur] = useState(true);
 
   // Firestore path for user's staked NFTs and earnings (which is now eDINOSUR)
-  const userStakingDocRef = userId ? doc(db, `artifacts/${appId}/users/${userId}/data/staking`) : null;
+  const userStakingDocRef = userId ? getUserStakingDocRef(userId) : null;
 
   useEffect(() => {
     if (!userId || !userStakingDocRef) {
@@ -619,40 +1854,82 @@ const EDinosurSection = ({ userId, setModalMessage }) => {
     return () => unsubscribe();
   }, [userId, userStakingDocRef, setModalMessage]);
 
+  // Sale allocations and the TGE date decide how many sale tokens have vested
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribePurchases = onSnapshot(getUserSalePurchaseDocRef(userId), (docSnap) => {
+      setSalePurchaseData(docSnap.exists() ? docSnap.data() : {});
+    }, (error) => console.error("Error fetching sale allocations:", error));
+    const unsubscribeTge = onSnapshot(tgeConfigDocRef, (docSnap) => {
+      setTgeTime(docSnap.exists() ? docSnap.data().tgeTime || null : null);
+    }, (error) => console.error("Error fetching TGE config:", error));
+
+    return () => {
+      unsubscribePurchases();
+      unsubscribeTge();
+    };
+  }, [userId]);
+
   const handleClaimDinosur = async () => {
-    if (eDinosurBalance > 0) {
-      setModalMessage(`Congratulations! You have claimed ${eDinosurBalance.toFixed(2)} $DINOSUR (1:1 from $eDINOSUR). This will be available at TGE.`);
-      // In a real DApp, this would trigger a claim transaction on the blockchain
-      // For simulation, we'll just reset the eDINOSUR balance after "claiming"
-      try {
-        await updateDoc(userStakingDocRef, { earned: 0 });
-      } catch (error) {
-        console.error("Error resetting eDINOSUR after claim:", error);
-        setModalMessage(`Failed to reset $eDINOSUR balance: ${error.message}`);
-      }
-    } else {
-      setModalMessage("You have no $eDINOSUR to claim yet!");
+    if (!userId) {
+      setModalMessage("Please connect your wallet to claim $DINOSUR.");
+      return;
+    }
+    // In a real DApp, this would trigger a claim transaction on the blockchain
+    // For simulation, we'll just move the eDINOSUR balance into the TGE claim after "claiming"
+    try {
+      const claimedAmount = await runLedgerTransaction(async (transaction) => {
+        const tgeSnap = await transaction.get(tgeConfigDocRef);
+        const purchaseSnap = await transaction.get(getUserSalePurchaseDocRef(userId));
+        const account = await openLedgerAccount(transaction, userId);
+        const currentTgeTime = tgeSnap.exists() ? tgeSnap.data().tgeTime || null : null;
+        const purchaseData = purchaseSnap.exists() ? purchaseSnap.data() : {};
+        const { claimable: saleClaimable } = calculateSaleVesting(purchaseData, currentTgeTime, Date.now());
+        const stakingAmount = account.earned;
+        if (stakingAmount <= 0 && saleClaimable <= 0) return 0;
+        if (stakingAmount > 0) {
+          ledgerDebit(account, stakingAmount, 'tge-claim');
+        }
+        if (saleClaimable > 0) {
+          ledgerRecord(account, { type: 'vesting', reason: 'sale-vesting-claim', amount: saleClaimable });
+          transaction.set(getUserSalePurchaseDocRef(userId), { claimedSaleTokens: (purchaseData.claimedSaleTokens || 0) + saleClaimable }, { merge: true });
+        }
+        const amount = stakingAmount + saleClaimable;
+        commitLedgerAccount(transaction, account, { claimedDinosur: (account.data.claimedDinosur || 0) + amount });
+        return amount;
+      });
+      setModalMessage(claimedAmount > 0
+        ? `Congratulations! You have claimed ${claimedAmount.toFixed(2)} $DINOSUR (1:1 from $eDINOSUR). This will be available at TGE.`
+        : "You have no $eDINOSUR to claim yet!");
+    } catch (error) {
+      console.error("Error claiming $DINOSUR:", error);
+      setModalMessage(error instanceof LedgerError ? error.message : `Failed to claim $DINOSUR: ${error.message}`);
     }
   };
 
   const handleBurnEDinosur = async () => {
-    if (readyToBurnEDinosur > 0) {
-      try {
-        const newTotalBurnt = totalBurntEDinosur + readyToBurnEDinosur;
-        await updateDoc(userStakingDocRef, {
-          readyToBurnEDinosur: 0,
-          totalBurntEDinosur: newTotalBurnt
-        });
-        setModalMessage(`Successfully burnt ${readyToBurnEDinosur.toFixed(2)} $eDINOSUR! Total burnt: ${newTotalBurnt.toFixed(2)} $eDINOSUR.`);
-      } catch (error) {
-        console.error("Error burning $eDINOSUR:", error);
-        setModalMessage(`Failed to burn $eDINOSUR: ${error.message}`);
-      }
-    } else {
-      setModalMessage("No $eDINOSUR ready to burn!");
+    if (!userId) {
+      setModalMessage("Please connect your wallet to burn $eDINOSUR.");
+      return;
+    }
+    try {
+      const { burntAmount, newTotalBurnt } = await runLedgerTransaction(async (transaction) => {
+        const account = await openLedgerAccount(transaction, userId);
+        const amount = ledgerBurn(account);
+        commitLedgerAccount(transaction, account);
+        recordPublicEvent(transaction, userId, 'burn', { amount });
+        return { burntAmount: amount, newTotalBurnt: account.totalBurntEDinosur };
+      });
+      setModalMessage(`Successfully burnt ${burntAmount.toFixed(2)} $eDINOSUR! Total burnt: ${newTotalBurnt.toFixed(2)} $eDINOSUR.`);
+    } catch (error) {
+      console.error("Error burning $eDINOSUR:", error);
+      setModalMessage(error instanceof LedgerError ? error.message : `Failed to burn $eDINOSUR: ${error.message}`);
     }
   };
 
+  const saleVesting = calculateSaleVesting(salePurchaseData, tgeTime, Date.now());
+
   if (loadingEDinosur) {
     return (
       <SectionWrapper id="edinosur" title="Your $eDINOSUR Rewards">
@@ -679,6 +1956,19 @@ const EDinosurSection = ({ userId, setModalMessage }) => {
             </p>
           </div>
           <p className="text-base sm:text-lg text-gray-300 mb-4">This balance represents your future $DINOSUR claim, ensuring your early earnings translate directly into the main token.</p>
+          {saleVesting.allocated > 0 && (
+            <div className="bg-gray-800 rounded-lg p-4 mb-4 text-left text-sm sm:text-base text-gray-300">
+              <h4 className="text-xl font-bold text-yellow-300 mb-2">Public Sale Allocation</h4>
+              <p>Purchased: <span className="font-mono text-yellow-400">{saleVesting.allocated.toLocaleString()} $eDINOSUR</span></p>
+              <p>Vested: <span className="font-mono text-yellow-400">{saleVesting.vested.toFixed(2)}</span> · Claimed: <span className="font-mono text-yellow-400">{saleVesting.claimed.toFixed(2)}</span></p>
+              <p>Claimable now: <span className="font-mono text-yellow-400">{saleVesting.claimable.toFixed(2)} $eDINOSUR</span></p>
+              <p className="text-gray-400 mt-2">
+                {tgeTime
+                  ? `${(SALE_VESTING_TGE_UNLOCK_SHARE * 100).toFixed(0)}% unlocked at TGE (${new Date(tgeTime).toLocaleDateString()}), the rest vests linearly over ${SALE_VESTING_LINEAR_MONTHS} months and is included when you claim.`
+                  : `Sale tokens start vesting at TGE: ${(SALE_VESTING_TGE_UNLOCK_SHARE * 100).toFixed(0)}% unlocked at TGE, the rest linearly over ${SALE_VESTING_LINEAR_MONTHS} months.`}
+              </p>
+            </div>
+          )}
           <button
             className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-full text-base sm:text-lg shadow-md"
             onClick={handleClaimDinosur}
@@ -716,6 +2006,10 @@ const EDinosurSection = ({ userId, setModalMessage }) => {
         </div>
 
 
+        <div className="mt-8 sm:mt-10">
+          <EarningsHistoryPanel userId={userId} setModalMessage={setModalMessage} />
+        </div>
+
         <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4 mt-8 sm:mt-10">How to Earn $eDINOSUR</h3>
         <p className="text-base sm:text-xl text-gray-200 mb-4 sm:mb-6 leading-relaxed">
           Continue staking your Dino Fighter G1 NFTs in the NFT Staking section to earn more $eDINOSUR daily. The more powerful your staked NFTs and the higher your multiplier, the more $eDINOSUR you will accumulate! Your active participation directly fuels your earning potential.
@@ -872,39 +2166,241 @@ const DinosurCoinSection = () => {
   );
 };
 
-const EDinosurSaleSection = ({ userId, setModalMessage }) => {
-  const totalSupply = 500_000_000_000; // 500 Billion $DINOSUR
-  const saleAllocationPercentage = 0.01; // 1% of total supply
-  const saleTotalTokens = totalSupply * saleAllocationPercentage; // 5 Billion $eDINOSUR
-  const epochDurationDays = 7;
-  const initialPrice = 0.00005; // $ per $eDINOSUR
-  const priceIncreaseFactor = 1.10; // 10% increase per epoch
-
-  // New sale limits
-  const MAX_EPOCH_ALLOCATION_PERCENTAGE = 0.05; // 5% of saleTotalTokens per epoch
-  const MAX_EPOCH_PURCHASE_USD = 250; // $250 max purchase per wallet per epoch
-
-  // Sale starts 45 days from current time (simulated)
-  const saleStartTimeRef = useRef(null);
-
-  const getSaleStartDate = () => {
-    const now = new Date();
-    const saleStartDate = new Date(now.getTime() + (45 * 24 * 60 * 60 * 1000));
-    return saleStartDate;
+// --- EIP-1193 wallet payments ---
+// Sale payments go through the injected wallet provider (window.ethereum) with plain JSON-RPC,
+// so they work the same against MetaMask on a live chain and a local Anvil or Hardhat node.
+
+class WalletPaymentError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WalletPaymentError';
+    this.code = code;
+  }
+}
+
+// EIP-1193 error raised when the user rejects a request in their wallet
+const WALLET_USER_REJECTED_CODE = 4001;
+const ERC20_TRANSFER_SELECTOR = '0xa9059cbb'; // transfer(address,uint256)
+const ERC20_TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'; // Transfer(address,address,uint256)
+const RECEIPT_POLL_INTERVAL_MS = 2000;
+const RECEIPT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const toHexQuantity = (value) => `0x${BigInt(value).toString(16)}`;
+const padHexWord = (hex) => hex.replace(/^0x/, '').toLowerCase().padStart(64, '0');
+
+// `amount` in whole units (e.g. 12.5 USDT) to integer base units, rounded up so payments never fall short
+const toBaseUnits = (amount, decimals) => {
+  const [whole, fraction = ''] = amount.toFixed(Math.min(decimals, 20)).split('.');
+  const units = BigInt(whole + fraction.padEnd(decimals, '0'));
+  return amount > Number(`${whole}.${fraction || '0'}`) ? units + 1n : units;
+};
+
+const requestWallet = async (provider, method, params = []) => {
+  try {
+    return await provider.request({ method, params });
+  } catch (error) {
+    if (error.code === WALLET_USER_REJECTED_CODE) {
+      throw new WalletPaymentError("You rejected the request in your wallet.", 'user-rejected');
+    }
+    throw error;
+  }
+};
+
+const getWalletProvider = () => {
+  const provider = typeof window !== 'undefined' ? window.ethereum : null;
+  if (!provider) {
+    throw new WalletPaymentError("No browser wallet found. Please install MetaMask or another EIP-1193 wallet.", 'no-provider');
+  }
+  return provider;
+};
+
+const ensureWalletChain = async (provider, chainId) => {
+  const currentChainId = await requestWallet(provider, 'eth_chainId');
+  if (BigInt(currentChainId) === BigInt(chainId)) return;
+  await requestWallet(provider, 'wallet_switchEthereumChain', [{ chainId: toHexQuantity(chainId) }]);
+};
+
+// Builds the transaction paying `costUSD` to the sale receiver, in the configured ERC-20 or native token
+const buildSalePaymentTransaction = (config, from, costUSD) => {
+  if (config.paymentToken) {
+    const amount = toBaseUnits(costUSD, config.paymentTokenDecimals);
+    return {
+      tx: { from, to: config.paymentToken, data: `${ERC20_TRANSFER_SELECTOR}${padHexWord(config.paymentReceiver)}${padHexWord(amount.toString(16))}` },
+      amount,
+    };
+  }
+  if (!config.nativeTokenPriceUSD) {
+    throw new WalletPaymentError("Native token payments are not priced yet. Please try again later.", 'not-configured');
+  }
+  const amount = toBaseUnits(costUSD / config.nativeTokenPriceUSD, 18);
+  return { tx: { from, to: config.paymentReceiver, value: toHexQuantity(amount) }, amount };
+};
+
+// Polls until `txHash` has `confirmations` blocks. Aborting `signal` stops the poll.
+const waitForTransactionReceipt = async (provider, txHash, confirmations, signal) => {
+  const deadline = Date.now() + RECEIPT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (signal && signal.aborted) {
+      throw new WalletPaymentError(`Stopped waiting for transaction ${txHash}.`, 'aborted');
+    }
+    const receipt = await requestWallet(provider, 'eth_getTransactionReceipt', [txHash]);
+    if (receipt) {
+      const latestBlock = await requestWallet(provider, 'eth_blockNumber');
+      if (BigInt(latestBlock) - BigInt(receipt.blockNumber) + 1n >= BigInt(confirmations)) return receipt;
+    }
+    await new Promise((resolve) => setTimeout(resolve, RECEIPT_POLL_INTERVAL_MS));
+  }
+  throw new WalletPaymentError(`Transaction ${txHash} was not confirmed in time. It will be checked again the next time you open the sale.`, 'timeout');
+};
+
+// Checks a mined receipt actually paid the submitted `payment` from the payer to the sale receiver
+const verifySalePaymentReceipt = async (provider, payment, receipt) => {
+  if (BigInt(receipt.status) !== 1n) {
+    throw new WalletPaymentError(`Transaction ${receipt.transactionHash} failed on-chain. No purchase was recorded.`, 'reverted');
+  }
+  const amount = BigInt(payment.paymentAmount);
+  if (payment.paymentTokenAddress) {
+    const paid = receipt.logs
+      .filter((log) => log.address.toLowerCase() === payment.paymentTokenAddress.toLowerCase()
+        && log.topics[0] === ERC20_TRANSFER_TOPIC
+        && log.topics[1] === `0x${padHexWord(payment.payer)}`
+        && log.topics[2] === `0x${padHexWord(payment.paymentReceiver)}`)
+      .reduce((sum, log) => sum + BigInt(log.data), 0n);
+    if (paid < amount) {
+      throw new WalletPaymentError(`Transaction ${receipt.transactionHash} did not transfer the sale payment.`, 'payment-mismatch');
+    }
+    return;
+  }
+  const transaction = await requestWallet(provider, 'eth_getTransactionByHash', [receipt.transactionHash]);
+  if (transaction.from.toLowerCase() !== payment.payer
+    || transaction.to.toLowerCase() !== payment.paymentReceiver.toLowerCase()
+    || BigInt(transaction.value) < amount) {
+    throw new WalletPaymentError(`Transaction ${receipt.transactionHash} did not transfer the sale payment.`, 'payment-mismatch');
+  }
+};
+
+// Asks the buyer's wallet to pay `costUSD` and resolves with the payment as soon as it's broadcast
+const submitSalePayment = async (config, costUSD) => {
+  if (!config.paymentReceiver) {
+    throw new WalletPaymentError("Sale payments are not open yet. Please try again later.", 'not-configured');
+  }
+  const provider = getWalletProvider();
+  const [from] = await requestWallet(provider, 'eth_requestAccounts');
+  await ensureWalletChain(provider, config.paymentChainId);
+
+  const { tx, amount } = buildSalePaymentTransaction(config, from, costUSD);
+  const txHash = await requestWallet(provider, 'eth_sendTransaction', [tx]);
+  return {
+    txHash,
+    payer: from.toLowerCase(),
+    chainId: config.paymentChainId,
+    paymentToken: config.paymentToken ? config.paymentTokenSymbol : config.nativeTokenSymbol,
+    paymentTokenAddress: config.paymentToken,
+    paymentReceiver: config.paymentReceiver,
+    paymentAmount: amount.toString(),
   };
+};
+
+// Resolves once a submitted payment is confirmed on-chain and checked against the sale receiver
+const confirmSalePayment = async (config, payment, signal) => {
+  const provider = getWalletProvider();
+  await ensureWalletChain(provider, payment.chainId);
+  const receipt = await waitForTransactionReceipt(provider, payment.txHash, config.paymentConfirmations, signal);
+  await verifySalePaymentReceipt(provider, payment, receipt);
+};
+
+// Payment failures that mean the money never reached the sale, so the reservation can go back
+const isFailedSalePayment = (error) => error instanceof WalletPaymentError && ['reverted', 'payment-mismatch'].includes(error.code);
+
+// Backend refusals meaning the payment can never settle the reservation: the backend's own
+// on-chain check failed, or the transaction already paid for another purchase
+const isRejectedSalePayment = (error) => error instanceof LedgerError && ['payment-reverted', 'payment-mismatch', 'payment-already-recorded'].includes(error.code);
+
+// --- Sale receipts ---
+
+// Receipt for one sale allocation. Allocations from before wallet payments have no transaction.
+const buildSaleReceipt = (allocation, userId) => ({
+  receiptId: allocation.id,
+  buyer: userId,
+  epoch: allocation.epoch,
+  tokens: allocation.tokens,
+  priceUSD: allocation.priceUSD,
+  costUSD: allocation.costUSD,
+  purchasedAt: new Date(allocation.purchasedAt).toISOString(),
+  transaction: allocation.txHash ? {
+    hash: allocation.txHash,
+    chainId: allocation.chainId,
+    payer: allocation.payer,
+    paymentToken: allocation.paymentToken,
+    paymentAmount: allocation.paymentAmount,
+  } : null,
+});
+
+const downloadJsonFile = (filename, data) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  // Firefox only follows links that are in the document, and needs the URL until the click is handled
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Opens the receipt as a plain HTML page in a new window and brings up the print dialog
+const printSaleReceipt = (receipt) => {
+  const receiptWindow = window.open('', '_blank');
+  if (!receiptWindow) return false;
+  const rows = [
+    ['Receipt', receipt.receiptId],
+    ['Buyer', receipt.buyer],
+    ['Date', new Date(receipt.purchasedAt).toLocaleString()],
+    ['Epoch', receipt.epoch],
+    ['Tokens', `${receipt.tokens.toLocaleString()} $eDINOSUR`],
+    ['Price', `$${receipt.priceUSD.toFixed(7)} per $eDINOSUR`],
+    ['Cost', `$${receipt.costUSD.toFixed(2)} USD`],
+    ['Transaction', receipt.transaction ? receipt.transaction.hash : 'Recorded before wallet payments'],
+    ...(receipt.transaction ? [
+      ['Chain ID', receipt.transaction.chainId],
+      ['Paid from', receipt.transaction.payer],
+      ['Paid in', receipt.transaction.paymentToken],
+    ] : []),
+  ];
+  receiptWindow.document.write(`<!DOCTYPE html><html><head><title>$eDINOSUR Sale Receipt ${escapeHtml(receipt.receiptId)}</title>
+<style>body{font-family:sans-serif;margin:40px;color:#111}h1{font-size:22px}table{border-collapse:collapse;width:100%}td{border-bottom:1px solid #ccc;padding:8px;vertical-align:top}td:first-child{font-weight:bold;width:160px}td:last-child{word-break:break-all}</style>
+</head><body><h1>Dino Fighter G1 &mdash; $eDINOSUR Public Sale Receipt</h1><table>
+${rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('')}
+</table></body></html>`);
+  receiptWindow.document.close();
+  receiptWindow.focus();
+  receiptWindow.print();
+  return true;
+};
 
-  const [timeLeft, setTimeLeft] = useState({ days: 0, hours: 0, minutes: 0, seconds: 0 });
-  const [currentEpoch, setCurrentEpoch] = useState(0);
-  const [currentPrice, setCurrentPrice] = useState(initialPrice);
-  const [saleStarted, setSaleStarted] = useState(false);
+const EDinosurSaleSection = ({ userId, setModalMessage }) => {
+  const [saleConfig, setSaleConfig] = useState(DEFAULT_SALE_CONFIG);
+  const [now, setNow] = useState(Date.now());
   const [buyAmount, setBuyAmount] = useState('');
-  const [totalPriceUSD, setTotalPriceUSD] = useState(0);
   const [userPurchasedUSD, setUserPurchasedUSD] = useState(0); // Lifetime total
-  const [userPurchasedUSDInCurrentEpoch, setUserPurchasedUSDInCurrentEpoch] = useState(0); // Per epoch
+  const [userPurchasedUSDInLastEpoch, setUserPurchasedUSDInLastEpoch] = useState(0); // Spent in `lastPurchaseEpoch`
   const [lastPurchaseEpoch, setLastPurchaseEpoch] = useState(-1); // To track epoch changes
+  const [purchaseAllocations, setPurchaseAllocations] = useState([]);
+  const [saleEligibility, setSaleEligibility] = useState({ allowlisted: false, inventory: [] });
+  const [saleState, setSaleState] = useState({});
+  const [paymentStatus, setPaymentStatus] = useState(null); // { state: 'pending' | 'confirmed' | 'failed', txHash, message }
+  const [pendingPurchase, setPendingPurchase] = useState(null); // Reserved purchase waiting for its payment
+  const settledPurchaseIdsRef = useRef(new Set()); // Pending purchases this page has already tried to settle
+  const [loadingSaleConfig, setLoadingSaleConfig] = useState(true);
   const [loadingPurchaseData, setLoadingPurchaseData] = useState(true);
 
-  const userSalePurchaseDocRef = userId ? doc(db, `artifacts/${appId}/users/${userId}/data/eDinoSalePurchases`) : null;
+  const userSalePurchaseDocRef = userId ? getUserSalePurchaseDocRef(userId) : null;
 
   // Load user's purchased amount from Firestore
   useEffect(() => {
@@ -917,14 +2413,16 @@ const EDinosurSaleSection = ({ userId, setModalMessage }) => {
       if (docSnap.exists()) {
         const data = docSnap.data();
         setUserPurchasedUSD(data.totalPurchasedUSD || 0);
-        setUserPurchasedUSDInCurrentEpoch(data.userPurchasedUSDInCurrentEpoch || 0);
+        setUserPurchasedUSDInLastEpoch(data.userPurchasedUSDInCurrentEpoch || 0);
         setLastPurchaseEpoch(data.lastPurchaseEpoch !== undefined ? data.lastPurchaseEpoch : -1);
+        setPurchaseAllocations([...(data.allocations || [])].sort((a, b) => b.purchasedAt - a.purchasedAt));
+        setPendingPurchase(data.pendingPurchase || null);
       } else {
         setUserPurchasedUSD(0);
-        setUserPurchasedUSDInCurrentEpoch(0);
+        setUserPurchasedUSDInLastEpoch(0);
         setLastPurchaseEpoch(-1);
-        // Initialize if document doesn't exist
-        setDoc(userSalePurchaseDocRef, { totalPurchasedUSD: 0, userPurchasedUSDInCurrentEpoch: 0, lastPurchaseEpoch: -1 }, { merge: true }).catch(e => console.error("Error initializing eDinoSalePurchases data:", e));
+        setPurchaseAllocations([]);
+        setPendingPurchase(null);
       }
       setLoadingPurchaseData(false);
     }, (error) => {
@@ -936,57 +2434,67 @@ const EDinosurSaleSection = ({ userId, setModalMessage }) => {
     return () => unsubscribe();
   }, [userId, userSalePurchaseDocRef, setModalMessage]);
 
+  // Sale schedule shared by every client
+  useEffect(() => {
+    const unsubscribe = onSnapshot(saleConfigDocRef, (docSnap) => {
+      setSaleConfig(readSaleConfig(docSnap.exists() ? docSnap.data() : {}));
+      setLoadingSaleConfig(false);
+    }, (error) => {
+      console.error("Error fetching sale config:", error);
+      setModalMessage(`Error loading sale schedule: ${error.message}`);
+      setLoadingSaleConfig(false);
+    });
+
+    return () => unsubscribe();
+  }, [setModalMessage]);
 
-  // Countdown and epoch calculation
+  // Allowlist entry and owned NFTs decide which access window the user buys in
   useEffect(() => {
-    if (!saleStartTimeRef.current) {
-      saleStartTimeRef.current = getSaleStartDate();
-    }
+    if (!userId) return;
+
+    const unsubscribeAllowlist = onSnapshot(getSaleAllowlistDocRef(userId), (docSnap) => {
+      setSaleEligibility(eligibility => ({ ...eligibility, allowlisted: docSnap.exists() }));
+    }, (error) => console.error("Error fetching sale allowlist:", error));
+    const unsubscribeStaking = onSnapshot(getUserStakingDocRef(userId), (docSnap) => {
+      setSaleEligibility(eligibility => ({ ...eligibility, inventory: readStakingState(docSnap.exists() ? docSnap.data() : {}).inventory }));
+    }, (error) => console.error("Error fetching NFT holdings for sale access:", error));
+
+    return () => {
+      unsubscribeAllowlist();
+      unsubscribeStaking();
+    };
+  }, [userId]);
 
-    const interval = setInterval(() => {
-      const now = new Date().getTime();
-      const saleStartTime = saleStartTimeRef.current.getTime();
-      const distance = saleStartTime - now;
-
-      if (distance < 0) {
-        setSaleStarted(true);
-        const elapsedMs = now - saleStartTime;
-        const epochMs = epochDurationDays * 24 * 60 * 60 * 1000;
-        const currentEpochNum = Math.floor(elapsedMs / epochMs);
-        setCurrentEpoch(currentEpochNum);
-        setCurrentPrice(initialPrice * Math.pow(priceIncreaseFactor, currentEpochNum));
-
-        // Check if epoch has changed to reset per-epoch purchase
-        if (currentEpochNum !== lastPurchaseEpoch) {
-          setUserPurchasedUSDInCurrentEpoch(0);
-          if (userSalePurchaseDocRef) {
-            updateDoc(userSalePurchaseDocRef, { userPurchasedUSDInCurrentEpoch: 0, lastPurchaseEpoch: currentEpochNum }).catch(e => console.error("Error resetting epoch purchase:", e));
-          }
-        }
+  // Tokens sold by every buyer, so all clients see the same remaining supply
+  useEffect(() => {
+    const unsubscribe = onSnapshot(saleStateDocRef, (docSnap) => {
+      setSaleState(docSnap.exists() ? docSnap.data() : {});
+    }, (error) => console.error("Error fetching sale state:", error));
 
-        setTimeLeft({ days: 0, hours: 0, minutes: 0, seconds: 0 });
-      } else {
-        setSaleStarted(false);
-        const days = Math.floor(distance / (1000 * 60 * 60 * 24));
-        const hours = Math.floor((distance % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-        const minutes = Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((distance % (1000 * 60)) / 1000);
-        setTimeLeft({ days, hours, minutes, seconds });
-      }
-    }, 1000);
+    return () => unsubscribe();
+  }, []);
 
+  // Clock for the countdown; the epoch and price are derived from the shared schedule
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
     return () => clearInterval(interval);
-  }, [lastPurchaseEpoch, epochDurationDays, initialPrice, priceIncreaseFactor, userSalePurchaseDocRef]); // Added dependencies
+  }, []);
+
+  const saleTotalTokens = saleConfig.saleTotalTokens;
+  const epochAllocationTokens = getSaleEpochAllocationTokens(saleConfig);
+  const saleScheduled = saleConfig.saleStartTime !== null;
+  const saleStarted = saleScheduled && now >= saleConfig.saleStartTime;
+  const currentEpoch = Math.max(0, getSaleEpochAt(saleConfig, now));
+  const currentPrice = getSaleEpochPrice(saleConfig, currentEpoch);
+  const userPurchasedUSDInCurrentEpoch = lastPurchaseEpoch === currentEpoch ? userPurchasedUSDInLastEpoch : 0;
+  const timeLeft = splitCountdown(saleScheduled ? saleConfig.saleStartTime - now : 0);
+  const accessTier = getSaleAccessTier(saleConfig, saleEligibility);
+  const accessOpenTime = accessTier && saleScheduled ? getSaleAccessOpenTime(saleConfig, currentEpoch, accessTier) : null;
+  const accessWindowOpen = saleStarted && accessOpenTime !== null && now >= accessOpenTime;
 
   // Calculate total price based on buy amount and current price
-  useEffect(() => {
-    const amount = parseFloat(buyAmount);
-    if (!isNaN(amount) && amount >= 0) {
-      setTotalPriceUSD(amount * currentPrice);
-    } else {
-      setTotalPriceUSD(0);
-    }
-  }, [buyAmount, currentPrice]);
+  const parsedBuyAmount = parseFloat(buyAmount);
+  const totalPriceUSD = !isNaN(parsedBuyAmount) && parsedBuyAmount >= 0 ? parsedBuyAmount * currentPrice : 0;
 
   const handleBuy = async () => {
     if (!userId || !userSalePurchaseDocRef) {
@@ -1006,44 +2514,113 @@ const EDinosurSaleSection = ({ userId, setModalMessage }) => {
     }
 
     const costUSD = amountToBuy * currentPrice;
+    const purchase = { epoch: currentEpoch, price: currentPrice, tokens: amountToBuy };
 
-    if (userPurchasedUSD + costUSD > 1000) { // Overall wallet limit
-      setModalMessage(`You can only buy a maximum of $1000 worth of $eDINOSUR per wallet. You have already purchased $${userPurchasedUSD.toFixed(2)} and this purchase would exceed the limit.`);
-      return;
-    }
+    let reserved = null;
+    setPaymentStatus(null);
+    try {
+      reserved = await reserveSalePurchase(purchase);
+      settledPurchaseIdsRef.current.add(reserved.id);
 
-    if (userPurchasedUSDInCurrentEpoch + costUSD > MAX_EPOCH_PURCHASE_USD) { // Per epoch limit
-      setModalMessage(`You can only buy a maximum of $${MAX_EPOCH_PURCHASE_USD} worth of $eDINOSUR per epoch. You have already purchased $${userPurchasedUSDInCurrentEpoch.toFixed(2)} in this epoch and this purchase would exceed the limit.`);
-      return;
+      setPaymentStatus({ state: 'pending', message: `Confirm the payment of $${costUSD.toFixed(2)} in your wallet...` });
+      let payment;
+      try {
+        payment = await submitSalePayment(saleConfig, costUSD);
+      } catch (error) {
+        // Nothing was sent, so the reserved tokens go straight back to the sale
+        await releaseSalePurchase(reserved.id);
+        throw error;
+      }
+      reserved = { ...reserved, payment };
+      setPaymentStatus({ state: 'pending', txHash: payment.txHash, message: 'Payment submitted. Waiting for confirmation...' });
+      await recordSalePaymentSubmitted(reserved.id, payment);
+
+      await settleSalePurchase(reserved);
+      setBuyAmount(''); // Clear input after purchase
+    } catch (error) {
+      reportSalePurchaseError(error, reserved && reserved.payment);
     }
+  };
 
-    // Simulate blockchain transaction
-    setModalMessage(`Simulating purchase of ${amountToBuy.toFixed(0)} $eDINOSUR for $${costUSD.toFixed(2)} USD. This would typically involve a blockchain transaction.`);
+  // Waits for a reserved purchase's payment and records the allocation, or hands the reservation
+  // back to the sale if the payment failed
+  const settleSalePurchase = async (reserved, signal) => {
+    try {
+      await confirmSalePayment(saleConfig, reserved.payment, signal);
+    } catch (error) {
+      if (isFailedSalePayment(error)) await releaseSalePurchase(reserved.id);
+      throw error;
+    }
 
+    let allocation;
     try {
-      const newTotalPurchasedUSD = userPurchasedUSD + costUSD;
-      const newPurchasedUSDInCurrentEpoch = userPurchasedUSDInCurrentEpoch + costUSD;
+      allocation = await completeSalePurchase(reserved.id);
+    } catch (error) {
+      if (isRejectedSalePayment(error)) await releaseSalePurchase(reserved.id);
+      throw error;
+    }
+    if (!allocation) return; // Settled by another tab in the meantime
 
-      await updateDoc(userSalePurchaseDocRef, {
-        totalPurchasedUSD: newTotalPurchasedUSD,
-        userPurchasedUSDInCurrentEpoch: newPurchasedUSDInCurrentEpoch,
-        lastPurchaseEpoch: currentEpoch // Record the epoch of this purchase
-      });
-      setUserPurchasedUSD(newTotalPurchasedUSD);
-      setUserPurchasedUSDInCurrentEpoch(newPurchasedUSDInCurrentEpoch);
-      setLastPurchaseEpoch(currentEpoch);
+    setPaymentStatus({ state: 'confirmed', txHash: allocation.txHash, message: `Payment confirmed. ${allocation.tokens.toFixed(0)} $eDINOSUR allocated.` });
+    setModalMessage(`Successfully purchased ${allocation.tokens.toFixed(0)} $eDINOSUR for $${allocation.costUSD.toFixed(2)}! Your tokens vest from TGE and can be claimed in the $eDINOSUR section.`);
+  };
 
-      setModalMessage(`Successfully purchased ${amountToBuy.toFixed(0)} $eDINOSUR! Your total purchased is now $${newTotalPurchasedUSD.toFixed(2)}. Purchased in this epoch: $${newPurchasedUSDInCurrentEpoch.toFixed(2)}.`);
-      setBuyAmount(''); // Clear input after purchase
-    } catch (error) {
-      console.error("Error during $eDINOSUR purchase:", error);
-      setModalMessage(`Failed to complete purchase: ${error.message}`);
+  const reportSalePurchaseError = (error, payment) => {
+    console.error("Error during $eDINOSUR purchase:", error);
+    const reason = error instanceof LedgerError || error instanceof WalletPaymentError ? error.message : `Failed to complete purchase: ${error.message}`;
+    // A sent payment stays reserved until it either confirms or fails on-chain
+    const stillPending = payment && !isFailedSalePayment(error) && !isRejectedSalePayment(error);
+    const message = stillPending ? `${reason} Your payment ${payment.txHash} stays reserved and will be recorded once it's confirmed.` : reason;
+    // Only show a payment status once the wallet was actually asked to pay
+    setPaymentStatus((status) => (status ? { state: stillPending ? 'pending' : 'failed', txHash: payment ? payment.txHash : status.txHash, message } : null));
+    setModalMessage(message);
+  };
+
+  // Settle a purchase left pending by a closed tab or a payment that wasn't confirmed in time,
+  // and hand back reservations the wallet never paid for
+  const reservationExpired = pendingPurchase !== null && !pendingPurchase.payment && now >= pendingPurchase.expiresAt;
+  useEffect(() => {
+    if (!userId || !pendingPurchase || settledPurchaseIdsRef.current.has(pendingPurchase.id)) return;
+    if (!pendingPurchase.payment && !reservationExpired) return;
+    settledPurchaseIdsRef.current.add(pendingPurchase.id);
+
+    if (!pendingPurchase.payment) {
+      releaseSalePurchase(pendingPurchase.id).catch((error) => console.error("Error releasing expired sale reservation:", error));
+      return;
+    }
+    setPaymentStatus({ state: 'pending', txHash: pendingPurchase.payment.txHash, message: 'Checking your earlier payment...' });
+    const controller = new AbortController();
+    settleSalePurchase(pendingPurchase, controller.signal).catch((error) => {
+      if (!controller.signal.aborted) reportSalePurchaseError(error, pendingPurchase.payment);
+    });
+    // Stop polling on unmount or when the purchase doc changes; a still-pending purchase is picked up again
+    return () => {
+      controller.abort();
+      settledPurchaseIdsRef.current.delete(pendingPurchase.id);
+    };
+  }, [userId, pendingPurchase, reservationExpired]);
+
+  const handleDownloadReceipts = (allocations) => {
+    const receipts = allocations.map((allocation) => buildSaleReceipt(allocation, userId));
+    const filename = receipts.length === 1 ? `edinosur-sale-receipt-${receipts[0].receiptId}.json` : 'edinosur-sale-receipts.json';
+    downloadJsonFile(filename, receipts.length === 1 ? receipts[0] : receipts);
+  };
+
+  const handlePrintReceipt = (allocation) => {
+    if (!printSaleReceipt(buildSaleReceipt(allocation, userId))) {
+      setModalMessage("Your browser blocked the receipt window. Please allow pop-ups for this site and try again.");
     }
   };
 
-  const epochAllocationTokens = saleTotalTokens * MAX_EPOCH_ALLOCATION_PERCENTAGE;
+  const epochSoldTokens = (saleState.epochSoldTokens || {})[currentEpoch] || 0;
+  const totalSoldTokens = saleState.totalSoldTokens || 0;
+  const remainingEpochTokens = calculateRemainingSaleTokens(saleState, currentEpoch, epochAllocationTokens, saleTotalTokens);
+  const epochSoldOut = remainingEpochTokens <= 0;
+  const buyAmountTokens = parseFloat(buyAmount) || 0;
+  const paymentPending = pendingPurchase !== null || (paymentStatus !== null && paymentStatus.state === 'pending');
+  const scheduledEpochs = Array.from({ length: SALE_SCHEDULE_PREVIEW_EPOCHS }, (_, index) => currentEpoch + index);
 
-  if (loadingPurchaseData) {
+  if (loadingPurchaseData || loadingSaleConfig) {
     return (
       <SectionWrapper id="edinosur-sale" title="$eDINOSUR Public Sale">
         <div className="text-center text-2xl text-gray-300 mt-10">Loading sale data...</div>
@@ -1055,13 +2632,13 @@ const EDinosurSaleSection = ({ userId, setModalMessage }) => {
     <SectionWrapper id="edinosur-sale" title="$eDINOSUR Public Sale">
       <div className="text-center max-w-4xl mx-auto">
         <p className="text-base sm:text-xl text-gray-200 mb-4 sm:mb-6 leading-relaxed">
-          Participate in the exclusive $eDINOSUR Public Sale! This is your chance to acquire $eDINOSUR tokens before the Token Generation Event, at a favorable price. A total of <span className="font-semibold text-yellow-300">1% of the total $DINOSUR supply (5 Billion $eDINOSUR)</span> will be sold in continuous epochs.
+          Participate in the exclusive $eDINOSUR Public Sale! This is your chance to acquire $eDINOSUR tokens before the Token Generation Event, at a favorable price. A total of <span className="font-semibold text-yellow-300">{saleTotalTokens.toLocaleString()} $eDINOSUR</span> will be sold in continuous epochs.
         </p>
         <p className="text-base sm:text-xl text-yellow-300 mb-4 sm:mb-6 leading-relaxed font-semibold">
-          Each epoch lasts for 7 days, and the price of $eDINOSUR will increase by 10% at the start of each new epoch, beginning at $0.00005 per $eDINOSUR.
+          Each epoch lasts for {saleConfig.epochDurationDays} days, and the price of $eDINOSUR will increase by {((saleConfig.priceIncreaseFactor - 1) * 100).toFixed(0)}% at the start of each new epoch, beginning at ${saleConfig.initialPrice} per $eDINOSUR.
         </p>
         <p className="text-base sm:text-xl text-yellow-300 mb-4 sm:mb-6 leading-relaxed font-semibold">
-          Max epoch allocation: {epochAllocationTokens.toLocaleString()} $eDINOSUR (5% of total sale tokens). Max epoch purchase limit: ${MAX_EPOCH_PURCHASE_USD} USD per wallet.
+          Max epoch allocation: {epochAllocationTokens.toLocaleString()} $eDINOSUR ({(saleConfig.maxEpochAllocationPercentage * 100).toFixed(0)}% of total sale tokens). Holders of Legend and King NFTs and allowlisted wallets get early access to every epoch.
         </p>
 
         {/* Countdown Monitor */}
@@ -1069,6 +2646,8 @@ const EDinosurSaleSection = ({ userId, setModalMessage }) => {
           <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Sale Starts In:</h3>
           {saleStarted ? (
             <p className="text-4xl sm:text-5xl font-extrabold text-yellow-400">SALE IS LIVE!</p>
+          ) : !saleScheduled ? (
+            <p className="text-2xl sm:text-3xl font-bold text-gray-300">The sale start date will be announced soon.</p>
           ) : (
             <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center">
               <div>
@@ -1097,6 +2676,58 @@ const EDinosurSaleSection = ({ userId, setModalMessage }) => {
           <p className="text-base sm:text-xl text-gray-300 mb-2">Epoch: <span className="font-mono text-yellow-400">{currentEpoch}</span></p>
           <p className="text-base sm:text-xl text-gray-300 mb-4">Current Price: <span className="font-mono text-yellow-400">${currentPrice.toFixed(7)} per $eDINOSUR</span></p>
 
+          {/* Shared epoch and overall supply */}
+          <div className="text-left mb-4">
+            <div className="flex justify-between text-sm sm:text-lg text-gray-300 mb-1">
+              <span>Epoch {currentEpoch} sold: <span className="font-mono text-yellow-400">{epochSoldTokens.toLocaleString()} / {epochAllocationTokens.toLocaleString()}</span></span>
+              {epochSoldOut ? (
+                <span className="font-bold text-red-400">SOLD OUT</span>
+              ) : (
+                <span>Remaining: <span className="font-mono text-green-400">{Math.floor(remainingEpochTokens).toLocaleString()}</span></span>
+              )}
+            </div>
+            <div className="w-full h-4 bg-gray-900 rounded-full overflow-hidden mb-3">
+              <div
+                className={`h-full ${epochSoldOut ? 'bg-red-500' : 'bg-green-500'}`}
+                style={{ width: `${Math.min(100, (epochSoldTokens / epochAllocationTokens) * 100)}%` }}
+              />
+            </div>
+            <div className="flex justify-between text-xs sm:text-base text-gray-400 mb-1">
+              <span>Total sale sold: <span className="font-mono">{totalSoldTokens.toLocaleString()} / {saleTotalTokens.toLocaleString()}</span></span>
+              <span>{((totalSoldTokens / saleTotalTokens) * 100).toFixed(2)}%</span>
+            </div>
+            <div className="w-full h-2 bg-gray-900 rounded-full overflow-hidden">
+              <div className="h-full bg-yellow-400" style={{ width: `${Math.min(100, (totalSoldTokens / saleTotalTokens) * 100)}%` }} />
+            </div>
+          </div>
+
+          {/* Access windows for this epoch */}
+          <div className="mt-6 text-left">
+            <h4 className="text-xl sm:text-2xl font-bold text-green-300 mb-3 text-center">Access Windows</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              {saleConfig.accessTiers.map((tier) => {
+                const openTime = saleScheduled ? getSaleAccessOpenTime(saleConfig, currentEpoch, tier) : null;
+                const isUserTier = accessTier !== null && tier.id === accessTier.id;
+                return (
+                  <div key={tier.id} className={`p-3 rounded-lg border ${isUserTier ? 'border-yellow-400 bg-gray-800' : 'border-gray-600'}`}>
+                    <p className={`font-bold ${isUserTier ? 'text-yellow-400' : 'text-gray-200'}`}>{tier.label}{isUserTier ? ' (You)' : ''}</p>
+                    <p className="text-xs sm:text-sm text-gray-400">
+                      {openTime === null ? `Opens ${tier.opensAfterHours}h into each epoch` : (now >= openTime ? 'Open now' : `Opens ${new Date(openTime).toLocaleString()}`)}
+                    </p>
+                    <p className="text-xs sm:text-sm text-gray-300">${tier.maxEpochPurchaseUSD} per epoch · ${tier.maxWalletPurchaseUSD} total</p>
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-sm sm:text-base text-gray-300 mt-3 text-center">
+              {!userId ? 'Connect your wallet to see which window you qualify for.'
+                : !accessTier ? 'Your wallet does not qualify for any sale window.'
+                : accessWindowOpen ? `You are buying in the ${accessTier.label} window.`
+                : saleStarted ? `Your ${accessTier.label} window opens in ${formatCountdown(accessOpenTime, now)}.`
+                : `You qualify for the ${accessTier.label} window.`}
+            </p>
+          </div>
+
           <div className="mt-6">
             <h4 className="text-xl sm:text-2xl font-bold text-green-300 mb-4">Buy $eDINOSUR</h4>
             <div className="flex flex-col sm:flex-row justify-center items-center gap-4 mb-4">
@@ -1113,17 +2744,117 @@ const EDinosurSaleSection = ({ userId, setModalMessage }) => {
               />
             </div>
             <p className="text-base sm:text-xl text-yellow-400 mb-4">Estimated Cost: <span className="font-mono">${totalPriceUSD.toFixed(2)} USD</span></p>
-            <p className="text-sm sm:text-lg text-gray-300 mb-2">Your total purchased (lifetime): <span className="font-mono text-yellow-400">${userPurchasedUSD.toFixed(2)} USD</span> (Max: $1000 USD)</p>
-            <p className="text-sm sm:text-lg text-gray-300 mb-4">Your purchased this epoch: <span className="font-mono text-yellow-400">${userPurchasedUSDInCurrentEpoch.toFixed(2)} USD</span> (Max: ${MAX_EPOCH_PURCHASE_USD} USD)</p>
+            {buyAmountTokens > remainingEpochTokens && !epochSoldOut && (
+              <p className="text-sm sm:text-lg text-red-400 mb-4">Only {Math.floor(remainingEpochTokens).toLocaleString()} $eDINOSUR are left in this epoch.</p>
+            )}
+            <p className="text-sm sm:text-lg text-gray-300 mb-2">Your total purchased (lifetime): <span className="font-mono text-yellow-400">${userPurchasedUSD.toFixed(2)} USD</span> {accessTier && `(Max: $${accessTier.maxWalletPurchaseUSD} USD)`}</p>
+            <p className="text-sm sm:text-lg text-gray-300 mb-4">Your purchased this epoch: <span className="font-mono text-yellow-400">${userPurchasedUSDInCurrentEpoch.toFixed(2)} USD</span> {accessTier && `(Max: $${accessTier.maxEpochPurchaseUSD} USD)`}</p>
             <button
               className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 sm:py-4 sm:px-8 rounded-full text-base sm:text-xl shadow-lg transform hover:scale-105 transition-transform duration-300"
               onClick={handleBuy}
-              disabled={!saleStarted || totalPriceUSD === 0 || (userPurchasedUSD + totalPriceUSD > 1000) || (userPurchasedUSDInCurrentEpoch + totalPriceUSD > MAX_EPOCH_PURCHASE_USD)}
+              disabled={!saleStarted || epochSoldOut || paymentPending || totalPriceUSD === 0 || buyAmountTokens > remainingEpochTokens || !accessWindowOpen || (userPurchasedUSD + totalPriceUSD > accessTier.maxWalletPurchaseUSD) || (userPurchasedUSDInCurrentEpoch + totalPriceUSD > accessTier.maxEpochPurchaseUSD)}
             >
-              Buy $eDINOSUR Now
+              {saleStarted && epochSoldOut ? 'Epoch Sold Out' : (paymentPending ? 'Payment Pending...' : 'Buy $eDINOSUR Now')}
             </button>
+            <p className="text-xs sm:text-sm text-gray-400 mt-3">
+              Paid with {saleConfig.paymentToken ? saleConfig.paymentTokenSymbol : saleConfig.nativeTokenSymbol} from your browser wallet on chain {saleConfig.paymentChainId}. Your purchase is recorded once the payment is confirmed on-chain.
+            </p>
+
+            {/* Payment progress */}
+            {paymentStatus && (
+              <div className={`mt-4 p-4 rounded-lg text-left border ${paymentStatus.state === 'confirmed' ? 'border-green-500 bg-green-900 bg-opacity-30' : paymentStatus.state === 'failed' ? 'border-red-500 bg-red-900 bg-opacity-30' : 'border-yellow-500 bg-yellow-900 bg-opacity-30'}`}>
+                <p className={`font-bold mb-1 ${paymentStatus.state === 'confirmed' ? 'text-green-400' : paymentStatus.state === 'failed' ? 'text-red-400' : 'text-yellow-400'}`}>
+                  {paymentStatus.state === 'confirmed' ? 'Payment Confirmed' : paymentStatus.state === 'failed' ? 'Payment Failed' : 'Payment Pending'}
+                </p>
+                <p className="text-sm sm:text-base text-gray-200">{paymentStatus.message}</p>
+                {paymentStatus.txHash && (
+                  <p className="text-xs sm:text-sm text-gray-400 font-mono break-all mt-1">Tx: {paymentStatus.txHash}</p>
+                )}
+              </div>
+            )}
           </div>
         </div>
+
+        {/* Purchase history */}
+        {userId && (
+          <div className="bg-gray-700 rounded-xl p-6 shadow-lg mb-8">
+            <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mb-4">
+              <h3 className="text-2xl sm:text-3xl font-bold text-green-300">Your Purchases</h3>
+              {purchaseAllocations.length > 0 && (
+                <button
+                  className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-full text-sm sm:text-base shadow-md"
+                  onClick={() => handleDownloadReceipts(purchaseAllocations)}
+                >
+                  Download All (JSON)
+                </button>
+              )}
+            </div>
+            {purchaseAllocations.length === 0 ? (
+              <p className="text-base sm:text-lg text-gray-400">You haven't bought any $eDINOSUR yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-left text-sm sm:text-base">
+                  <thead>
+                    <tr className="text-gray-400 border-b border-gray-600">
+                      <th className="py-2 pr-4">Date</th>
+                      <th className="py-2 pr-4">Epoch</th>
+                      <th className="py-2 pr-4">$eDINOSUR</th>
+                      <th className="py-2 pr-4">Price</th>
+                      <th className="py-2 pr-4">Cost</th>
+                      <th className="py-2 pr-4">Transaction</th>
+                      <th className="py-2">Receipt</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {purchaseAllocations.map((allocation) => (
+                      <tr key={allocation.id} className="border-b border-gray-600 text-gray-300">
+                        <td className="py-2 pr-4">{new Date(allocation.purchasedAt).toLocaleString()}</td>
+                        <td className="py-2 pr-4 font-mono">{allocation.epoch}</td>
+                        <td className="py-2 pr-4 font-mono text-yellow-400">{allocation.tokens.toLocaleString()}</td>
+                        <td className="py-2 pr-4 font-mono">${allocation.priceUSD.toFixed(7)}</td>
+                        <td className="py-2 pr-4 font-mono">${allocation.costUSD.toFixed(2)}</td>
+                        <td className="py-2 pr-4 font-mono" title={allocation.txHash || ''}>
+                          {allocation.txHash ? `${allocation.txHash.slice(0, 10)}...${allocation.txHash.slice(-6)}` : '—'}
+                        </td>
+                        <td className="py-2 whitespace-nowrap">
+                          <button className="text-blue-400 hover:text-blue-300 mr-3" onClick={() => handleDownloadReceipts([allocation])}>JSON</button>
+                          <button className="text-blue-400 hover:text-blue-300" onClick={() => handlePrintReceipt(allocation)}>Print</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Upcoming epochs from the shared schedule */}
+        {saleScheduled && (
+          <div className="bg-gray-700 rounded-xl p-6 shadow-lg mb-8">
+            <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Sale Schedule</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm sm:text-lg">
+                <thead>
+                  <tr className="text-gray-400 border-b border-gray-600">
+                    <th className="py-2 pr-4">Epoch</th>
+                    <th className="py-2 pr-4">Starts</th>
+                    <th className="py-2 pr-4">Price ($ per $eDINOSUR)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {scheduledEpochs.map((epoch) => (
+                    <tr key={epoch} className={`border-b border-gray-600 ${saleStarted && epoch === currentEpoch ? 'text-yellow-400 font-semibold' : 'text-gray-300'}`}>
+                      <td className="py-2 pr-4 font-mono">{epoch}{saleStarted && epoch === currentEpoch ? ' (current)' : ''}</td>
+                      <td className="py-2 pr-4">{new Date(getSaleEpochStartTime(saleConfig, epoch)).toLocaleString()}</td>
+                      <td className="py-2 pr-4 font-mono">${getSaleEpochPrice(saleConfig, epoch).toFixed(7)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
       </div>
     </SectionWrapper>
   );
@@ -1187,6 +2918,290 @@ const RoadmapSection = () => (
   </SectionWrapper>
 );
 
+// --- Provably fair raffle spins ---
+// Commit-reveal: the backend commits to a secret server seed by publishing its SHA-256 hash
+// before any spin uses it. Each spin's reels come from HMAC-SHA256(serverSeed, "clientSeed:nonce"),
+// so once the seed is revealed anyone can recompute every spin made with it. Seeds, reels and
+// prizes are all settled in functions/index.js; the browser only ever sees the hash until the
+// player rotates the seed out.
+
+const RAFFLE_SYMBOLS = ['🦖', '🦕', '🥚', '💎', '💰', '🔥', '🎫'];
+// Stops per symbol on each reel strip; rarer symbols pay the bigger prizes
+const RAFFLE_SYMBOL_WEIGHTS = { '🥚': 10, '🦕': 8, '🦖': 6, '🔥': 4, '💰': 3, '🎫': 2, '💎': 1 };
+const buildReelStrip = (symbols, weights) => symbols.flatMap(symbol => Array(weights[symbol]).fill(symbol));
+const RAFFLE_REEL_STRIP = buildReelStrip(RAFFLE_SYMBOLS, RAFFLE_SYMBOL_WEIGHTS);
+
+// Every reel strip set spins have been played on, by version. Each spin records the version it
+// used, so changing the strips never breaks verification of older spins.
+const LEGACY_RAFFLE_SYMBOLS = RAFFLE_SYMBOLS.filter(symbol => symbol !== '🎫'); // Before $DINOSUR Stamps
+const RAFFLE_REEL_STRIP_VERSIONS = {
+  1: Array(3).fill(LEGACY_RAFFLE_SYMBOLS), // One stop per symbol
+  2: Array(3).fill(buildReelStrip(LEGACY_RAFFLE_SYMBOLS, RAFFLE_SYMBOL_WEIGHTS)),
+  3: Array(3).fill(RAFFLE_REEL_STRIP),
+};
+const RAFFLE_REEL_STRIP_VERSION = 3;
+const RAFFLE_REEL_STRIPS = RAFFLE_REEL_STRIP_VERSIONS[RAFFLE_REEL_STRIP_VERSION];
+
+const getUserRaffleDocRef = (userId) => doc(db, `artifacts/${appId}/users/${userId}/data/raffle`);
+const getUserRaffleSpinsRef = (userId) => collection(db, `artifacts/${appId}/users/${userId}/data/raffle/spins`);
+// Revealed server seeds, keyed by their hash
+const getUserRaffleRevealedSeedsRef = (userId) => collection(db, `artifacts/${appId}/users/${userId}/data/raffle/seeds`);
+
+const RAFFLE_SPIN_HISTORY_LIMIT = 20;
+
+// Longest client seed firestore.rules accepts
+const RAFFLE_CLIENT_SEED_MAX_LENGTH = 64;
+
+const bytesToHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// Random hex seed; the player's default client seed is cut from one
+const generateRaffleSeed = () => bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+
+const sha256Hex = async (text) => bytesToHex(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))));
+
+const hmacSha256 = async (key, message) => {
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey('raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message)));
+};
+
+// Reel results for one spin. Reel i reads the i-th 4-byte word of the HMAC as a fraction of 2^32
+// and picks that position on its strip.
+const calculateSpinReels = async (serverSeed, clientSeed, nonce, reelStrips = RAFFLE_REEL_STRIPS) => {
+  const digest = await hmacSha256(serverSeed, `${clientSeed}:${nonce}`);
+  const view = new DataView(digest.buffer);
+  return reelStrips.map((strip, index) => strip[Math.floor((view.getUint32(index * 4) / 2 ** 32) * strip.length)]);
+};
+
+// Checks a revealed seed against the hash the spin was committed to and recomputes its reels on
+// the strips the spin was played on. Spins recorded before strip versions could have used any
+// of them, so each is tried in turn.
+const verifyRaffleSpin = async (spin, serverSeed) => {
+  const hashMatches = (await sha256Hex(serverSeed)) === spin.serverSeedHash;
+  const stripVersions = spin.stripVersion ? [spin.stripVersion] : Object.keys(RAFFLE_REEL_STRIP_VERSIONS).map(Number);
+  let reels = [];
+  for (const stripVersion of stripVersions) {
+    const reelStrips = RAFFLE_REEL_STRIP_VERSIONS[stripVersion];
+    if (!reelStrips) continue;
+    reels = await calculateSpinReels(serverSeed, spin.clientSeed, spin.nonce, reelStrips);
+    if (reels.join('') === spin.reels.join('')) return { hashMatches, reels, reelsMatch: true, stripVersion };
+  }
+  return { hashMatches, reels, reelsMatch: false };
+};
+
+// Paytable: a spin wins the entry whose symbol lands on exactly `count` of the three reels, or
+// whose `line` of three different symbols lands in that order.
+// Entries with a `pool` can only be won that many times across all players; once a pool is
+// empty that combination pays nothing. Prizes are { type: 'edinosur' | 'usdt' | 'stamp', amount }
+// or { type: 'nft', tier }.
+const RAFFLE_PAYTABLE = [
+  { id: 'legend-nft', symbol: '💎', count: 3, prize: { type: 'nft', tier: 'Legend' }, pool: 80 },
+  { id: 'usdt-1000', symbol: '💰', count: 3, prize: { type: 'usdt', amount: 1000 }, pool: 5 },
+  { id: 'king-nft', symbol: '🔥', count: 3, prize: { type: 'nft', tier: 'King' }, pool: 250 },
+  { id: 'unique-nft', symbol: '🦖', count: 3, prize: { type: 'nft', tier: 'Unique' }, pool: 200 },
+  { id: 'rare-nft', symbol: '🦕', count: 3, prize: { type: 'nft', tier: 'Rare' }, pool: 300 },
+  { id: 'stamps-5', symbol: '🎫', count: 3, prize: { type: 'stamp', amount: 5 } },
+  { id: 'edinosur-125k', symbol: '🥚', count: 3, prize: { type: 'edinosur', amount: 125000 } },
+  { id: 'common-nft', symbol: '💎', count: 2, prize: { type: 'nft', tier: 'Common' }, pool: 500 },
+  { id: 'usdt-3', symbol: '💰', count: 2, prize: { type: 'usdt', amount: 3 } },
+  { id: 'stamp-1', symbol: '🎫', count: 2, prize: { type: 'stamp', amount: 1 } },
+  { id: 'edinosur-100k', symbol: '🔥', count: 2, prize: { type: 'edinosur', amount: 100000 } },
+  { id: 'usdt-1', symbol: '🦖', count: 2, prize: { type: 'usdt', amount: 1 } },
+  { id: 'edinosur-20k', symbol: '🦕', count: 2, prize: { type: 'edinosur', amount: 20000 } },
+  { id: 'edinosur-10k', symbol: '🥚', count: 2, prize: { type: 'edinosur', amount: 10000 } },
+  // Lines of three different symbols, read left to right
+  { id: 'usdt-0.5', line: ['🥚', '🦕', '🦖'], prize: { type: 'usdt', amount: 0.5 } },
+  { id: 'edinosur-30k', line: ['🥚', '🦕', '🔥'], prize: { type: 'edinosur', amount: 30000 } },
+  { id: 'edinosur-40k', line: ['🥚', '🦖', '🔥'], prize: { type: 'edinosur', amount: 40000 } },
+  { id: 'edinosur-50k', line: ['🥚', '🦕', '💰'], prize: { type: 'edinosur', amount: 50000 } },
+  { id: 'edinosur-70k', line: ['🦕', '🦖', '🔥'], prize: { type: 'edinosur', amount: 70000 } },
+  { id: 'edinosur-85k', line: ['🥚', '🦖', '💰'], prize: { type: 'edinosur', amount: 85000 } },
+  { id: 'usdt-5', line: ['🥚', '🦕', '🎫'], prize: { type: 'usdt', amount: 5 } },
+  { id: 'usdt-10', line: ['🦕', '🦖', '💰'], prize: { type: 'usdt', amount: 10 } },
+  { id: 'usdt-15', line: ['🥚', '🔥', '💰'], prize: { type: 'usdt', amount: 15 } },
+  { id: 'edinosur-500k', line: ['🦕', '🔥', '💰'], prize: { type: 'edinosur', amount: 500000 }, pool: 200 },
+  { id: 'usdt-30', line: ['🥚', '🦕', '💎'], prize: { type: 'usdt', amount: 30 }, pool: 200 },
+  { id: 'edinosur-1m', line: ['🦖', '🔥', '💰'], prize: { type: 'edinosur', amount: 1000000 }, pool: 100 },
+  { id: 'usdt-50', line: ['🥚', '🦖', '💎'], prize: { type: 'usdt', amount: 50 }, pool: 100 },
+  { id: 'edinosur-1.5m', line: ['🦕', '💰', '🎫'], prize: { type: 'edinosur', amount: 1500000 }, pool: 75 },
+  { id: 'edinosur-2m', line: ['🔥', '💰', '🎫'], prize: { type: 'edinosur', amount: 2000000 }, pool: 50 },
+  { id: 'usdt-100', line: ['🦕', '💰', '💎'], prize: { type: 'usdt', amount: 100 }, pool: 50 },
+  { id: 'usdt-250', line: ['🦖', '💰', '💎'], prize: { type: 'usdt', amount: 250 }, pool: 20 },
+  { id: 'usdt-500', line: ['🔥', '💰', '💎'], prize: { type: 'usdt', amount: 500 }, pool: 10 },
+];
+
+// $eDINOSUR value of 1 USDT for the expected-return figure, at the opening sale price
+const RAFFLE_EDINOSUR_PER_USDT = 1 / DEFAULT_SALE_CONFIG.initialPrice;
+
+// How many of each paytable entry have been won by all players: { awarded: { [entryId]: count } }
+const rafflePrizePoolsDocRef = doc(db, `artifacts/${appId}/public/data/raffle/prize_pools`);
+// Raffle settings shared by every client. `nftReleaseStartTime` stays null until the NFT release is scheduled.
+const raffleConfigDocRef = doc(db, `artifacts/${appId}/public/data/raffle/config`);
+
+// Prize pool state from the prize pools and raffle config documents
+const readRafflePrizePools = (poolsData = {}, configData = {}) => ({
+  awarded: poolsData.awarded || {},
+  nftReleaseStartTime: configData.nftReleaseStartTime || null,
+});
+
+// Raffle NFT pools are released over RAFFLE_NFT_VESTING_MONTHS months from the configured start date.
+// By the end of month m the raffle may have awarded (m + 1) / RAFFLE_NFT_VESTING_MONTHS of a
+// tier's pool, so a quiet month rolls over into the next. A won NFT vests in the winner's
+// account until the following month starts, then moves into their inventory.
+const RAFFLE_NFT_VESTING_MONTHS = 6;
+const RAFFLE_NFT_MONTH_MS = DAYS_PER_MONTH * MS_PER_DAY;
+
+// Release month `now` falls in, counting from 0, or -1 before the release has started
+const getRaffleNFTMonth = (pools, now) => (pools.nftReleaseStartTime !== null && now >= pools.nftReleaseStartTime
+  ? Math.floor((now - pools.nftReleaseStartTime) / RAFFLE_NFT_MONTH_MS)
+  : -1);
+
+const getRaffleNFTUnlockTime = (pools, now) => pools.nftReleaseStartTime + (getRaffleNFTMonth(pools, now) + 1) * RAFFLE_NFT_MONTH_MS;
+
+// NFTs of an NFT paytable entry the raffle can still award in the current month
+const calculateRaffleNFTMonthlyAvailability = (entry, pools, now) => {
+  const releasedMonths = Math.min(getRaffleNFTMonth(pools, now) + 1, RAFFLE_NFT_VESTING_MONTHS);
+  const releasedSoFar = Math.floor((entry.pool * releasedMonths) / RAFFLE_NFT_VESTING_MONTHS);
+  return Math.max(0, releasedSoFar - (pools.awarded[entry.id] || 0));
+};
+
+// Probability that a spin lands on `entry`, from the reel strip weights
+const calculatePaytableOdds = (entry) => {
+  if (entry.line) {
+    return entry.line.reduce((odds, symbol) => odds * (RAFFLE_SYMBOL_WEIGHTS[symbol] / RAFFLE_REEL_STRIP.length), 1);
+  }
+  const symbolChance = RAFFLE_SYMBOL_WEIGHTS[entry.symbol] / RAFFLE_REEL_STRIP.length;
+  const arrangements = entry.count === RAFFLE_REEL_STRIPS.length ? 1 : RAFFLE_REEL_STRIPS.length;
+  return arrangements * Math.pow(symbolChance, entry.count) * Math.pow(1 - symbolChance, RAFFLE_REEL_STRIPS.length - entry.count);
+};
+
+const isPaytablePoolAvailable = (entry, pools, now) => {
+  if (entry.prize.type === 'nft') return calculateRaffleNFTMonthlyAvailability(entry, pools, now) > 0;
+  return entry.pool === undefined || (pools.awarded[entry.id] || 0) < entry.pool;
+};
+
+const formatRafflePrize = (prize) => {
+  if (prize.type === 'usdt') return `$${prize.amount.toFixed(2)} USDT`;
+  if (prize.type === 'nft') return `${prize.tier} NFT`;
+  if (prize.type === 'stamp') return `${prize.amount} $DINOSUR Stamp${prize.amount > 1 ? 's' : ''}`;
+  return `${prize.amount.toLocaleString()} $eDINOSUR`;
+};
+
+// Expected $eDINOSUR-equivalent return per ticket from token prizes with stock left, the
+// chance per spin of winning an NFT and the expected stamps per spin
+const calculateRaffleExpectedReturn = (pools, now) => RAFFLE_PAYTABLE
+  .filter(entry => isPaytablePoolAvailable(entry, pools, now))
+  .reduce((totals, entry) => {
+    const odds = calculatePaytableOdds(entry);
+    if (entry.prize.type === 'nft') return { ...totals, nftChance: totals.nftChance + odds };
+    if (entry.prize.type === 'stamp') return { ...totals, stamps: totals.stamps + odds * entry.prize.amount };
+    const value = entry.prize.type === 'usdt' ? entry.prize.amount * RAFFLE_EDINOSUR_PER_USDT : entry.prize.amount;
+    return { ...totals, tokenValue: totals.tokenValue + odds * value };
+  }, { tokenValue: 0, nftChance: 0, stamps: 0 });
+
+// $DINOSUR Stamps burned to mint one NFT of each tier. Redemption opens at TGE.
+const STAMP_REDEMPTION_COSTS = { King: 10, Legend: 25 };
+
+const isTgeLive = (tgeTime, now) => tgeTime !== null && now >= tgeTime;
+
+// Commits the player's first server seed; repeated calls keep the seed already committed
+const commitRaffleServerSeed = () => callBackend('commitRaffleServerSeed');
+
+// Reveals the seed committed as `serverSeedHash` and commits a fresh one. Nonces restart at 0.
+const rotateRaffleServerSeed = (serverSeedHash) => callBackend('rotateRaffleServerSeed', { serverSeedHash });
+
+// Sells `quantity` tickets on the backend and resolves to { tickets, burnAmount }
+const buyRaffleTickets = (quantity) => callBackend('buyRaffleTickets', { quantity });
+
+// Burns stamps on the backend for one `tier` NFT and resolves to { nft, stamps }
+const redeemRaffleStamps = (tier) => callBackend('redeemRaffleStamps', { tier });
+
+// Most spins the backend settles in one batch
+const RAFFLE_BATCH_SPIN_LIMIT = 100;
+
+// Plays up to `maxSpins` spins on the backend, stopping early when a stop condition is met
+// ({ stopOnAnyWin, stopAboveValue }) or the tickets run out. Resolves to { spins, ticketsLeft, stopReason }.
+const playRaffleSpins = (maxSpins, { stopOnAnyWin = false, stopAboveValue = null } = {}) => callBackend('playRaffleSpins', { maxSpins, stopOnAnyWin, stopAboveValue });
+
+// $eDINOSUR value typed for the "prize above" stop condition, or NaN unless it is a
+// non-negative number
+const parseRaffleStopValue = (text) => {
+  const value = text.trim() === '' ? NaN : Number(text);
+  return Number.isFinite(value) && value >= 0 ? value : NaN;
+};
+
+const RAFFLE_STOP_REASON_LABELS = {
+  'completed': 'All requested spins were played.',
+  'out-of-tickets': 'Stopped because you ran out of tickets.',
+  'won': 'Stopped on a win.',
+  'big-win': 'Stopped on a prize above your limit.',
+  'stopped': 'Stopped when you pressed Stop.',
+  'failed': 'Stopped by an error.',
+};
+
+// Totals of a batch of spins for the end-of-batch summary
+const summariseRaffleSpins = (spins) => spins.reduce((summary, spin) => {
+  if (!spin.prize) return summary;
+  const { type, amount } = spin.prize;
+  return {
+    ...summary,
+    wins: summary.wins + 1,
+    edinosur: summary.edinosur + (type === 'edinosur' ? amount : 0),
+    usdt: summary.usdt + (type === 'usdt' ? amount : 0),
+    stamps: summary.stamps + (type === 'stamp' ? amount : 0),
+    nfts: type === 'nft' ? [...summary.nfts, `${spin.prize.tier} #${spin.nftId}`] : summary.nfts,
+  };
+}, { wins: 0, edinosur: 0, usdt: 0, stamps: 0, nfts: [] });
+
+// --- Weekly raffle draws ---
+// Tickets entered into a draw are used up. The backend commits each draw's seed as its SHA-256
+// hash before the draw takes entries, and closes the draw on server time: its entries are
+// published as a snapshot of { actor, tickets } sorted by pseudonym and the seed is revealed,
+// so anyone can recompute the winners: seed = SHA-256("drawId:serverSeed:snapshotHash"), and
+// the winner of position k is the entrant holding ticket number SHA-256("seed:k") mod remaining
+// tickets. Each entrant wins at most once.
+const RAFFLE_DRAW_PERIOD_MS = 7 * MS_PER_DAY;
+const RAFFLE_DRAW_EPOCH = Date.UTC(2025, 0, 6); // A Monday 00:00 UTC; draw 0 closed a week later
+const RAFFLE_DRAW_PRIZES = [
+  { type: 'edinosur', amount: 2000000 },
+  { type: 'edinosur', amount: 1000000 },
+  { type: 'usdt', amount: 100 },
+  { type: 'usdt', amount: 50 },
+  { type: 'edinosur', amount: 500000 },
+];
+const RAFFLE_PAST_DRAWS_LIMIT = 10;
+
+const raffleDrawsRef = collection(db, `artifacts/${appId}/public/data/raffle_draws`);
+const getRaffleDrawDocRef = (drawIndex) => doc(raffleDrawsRef, `draw-${drawIndex}`);
+// One document per entrant, keyed by user ID: { actor, tickets }
+const getRaffleDrawEntriesRef = (drawIndex) => collection(db, `artifacts/${appId}/public/data/raffle_draws/draw-${drawIndex}/entries`);
+
+const getRaffleDrawIndex = (now) => Math.floor((now - RAFFLE_DRAW_EPOCH) / RAFFLE_DRAW_PERIOD_MS);
+const getRaffleDrawCloseTime = (drawIndex) => RAFFLE_DRAW_EPOCH + (drawIndex + 1) * RAFFLE_DRAW_PERIOD_MS;
+
+// Recomputes a draw's winners from its revealed seed and published snapshot. Draws closed before
+// seeds were committed have no `serverSeed` and were seeded from the snapshot alone.
+const selectRaffleDrawWinners = async (drawIndex, serverSeed, snapshot) => {
+  const snapshotHash = await sha256Hex(JSON.stringify(snapshot));
+  const seed = await sha256Hex(serverSeed === undefined ? `draw-${drawIndex}:${snapshotHash}` : `draw-${drawIndex}:${serverSeed}:${snapshotHash}`);
+  const remaining = [...snapshot];
+  const winners = [];
+  for (let position = 0; position < RAFFLE_DRAW_PRIZES.length && remaining.length > 0; position++) {
+    const totalTickets = remaining.reduce((sum, entry) => sum + entry.tickets, 0);
+    const winningTicket = BigInt(`0x${await sha256Hex(`${seed}:${position}`)}`) % BigInt(totalTickets);
+    let ticketsSoFar = 0n;
+    const winnerIndex = remaining.findIndex(entry => (ticketsSoFar += BigInt(entry.tickets)) > winningTicket);
+    const prize = RAFFLE_DRAW_PRIZES[position];
+    winners.push({ position, actor: remaining[winnerIndex].actor, prize, prizeLabel: formatRafflePrize(prize) });
+    remaining.splice(winnerIndex, 1);
+  }
+  return { snapshotHash, seed, winners };
+};
+
+// Moves `tickets` from the player's raffle tickets into the draw open on the backend's clock.
+// Resolves to { drawIndex }.
+const enterRaffleDraw = (tickets) => callBackend('enterRaffleDraw', { tickets });
+
 const RaffleSlotSection = ({ userId, setModalMessage }) => {
   // Updated ticket cost
   const EDINOSUR_TICKET_COST = 50000;
@@ -1200,15 +3215,36 @@ const RaffleSlotSection = ({ userId, setModalMessage }) => {
   const [reel2, setReel2] = useState('🦕');
   const [reel3, setReel3] = useState('🥚');
   const [isSpinning, setIsSpinning] = useState(false);
-  const [blockchainActivity, setBlockchainActivity] = useState([]);
+  const [batchSpinCount, setBatchSpinCount] = useState(10);
+  const [stopConditions, setStopConditions] = useState({ stopOnAnyWin: false, stopAboveEnabled: false, stopAboveValue: '' });
+  const [spinSummary, setSpinSummary] = useState(null);
+  const [isAutoSpinning, setIsAutoSpinning] = useState(false);
+  const autoSpinStopRef = useRef(false); // Read between auto-spin batches
+  const [usdtWinnings, setUsdtWinnings] = useState(0);
+  const [stampCount, setStampCount] = useState(0);
+  const [tgeTime, setTgeTime] = useState(null);
+  const [prizePoolsData, setPrizePoolsData] = useState({});
+  const [raffleConfigData, setRaffleConfigData] = useState({});
+  const [fairness, setFairness] = useState({ serverSeedHash: null, clientSeed: '', nonce: 0 });
+  const [clientSeedInput, setClientSeedInput] = useState('');
+  const [recentSpins, setRecentSpins] = useState([]);
+  const [revealedSeeds, setRevealedSeeds] = useState({});
+  const [spinVerifications, setSpinVerifications] = useState({});
+  const [manualVerification, setManualVerification] = useState({ serverSeed: '', clientSeed: '', nonce: '', stripVersion: RAFFLE_REEL_STRIP_VERSION, reels: null });
+  const [now, setNow] = useState(Date.now());
+  const [currentDraw, setCurrentDraw] = useState(null);
+  const [drawEntryTickets, setDrawEntryTickets] = useState(0);
+  const [drawEntryQuantity, setDrawEntryQuantity] = useState(1);
+  const [pastDraws, setPastDraws] = useState([]);
+  const [drawVerifications, setDrawVerifications] = useState({});
 
   // Define possible reel symbols
-  const symbols = ['🦖', '🦕', '🥚', '💎', '💰', '🔥'];
+  const symbols = RAFFLE_SYMBOLS;
 
   // Firestore path for user's raffle tickets
-  const userRaffleDocRef = userId ? doc(db, `artifacts/${appId}/users/${userId}/data/raffle`) : null;
+  const userRaffleDocRef = userId ? getUserRaffleDocRef(userId) : null;
   // Firestore path for user's eDINOSUR balance (from staking)
-  const userStakingDocRef = userId ? doc(db, `artifacts/${appId}/users/${userId}/data/staking`) : null;
+  const userStakingDocRef = userId ? getUserStakingDocRef(userId) : null;
 
   // Load initial data and set up real-time listener for tickets
   useEffect(() => {
@@ -1218,11 +3254,17 @@ const RaffleSlotSection = ({ userId, setModalMessage }) => {
     }
 
     const unsubscribe = onSnapshot(userRaffleDocRef, (docSnap) => {
-      if (docSnap.exists()) {
-        const data = docSnap.data();
-        setTicketCount(data.tickets || 0);
-      } else {
-        setTicketCount(0);
+      const data = docSnap.exists() ? docSnap.data() : {};
+      setTicketCount(data.tickets || 0);
+      setUsdtWinnings(data.usdtWinnings || 0);
+      setStampCount(data.stamps || 0);
+      setFairness({ serverSeedHash: data.serverSeedHash || null, clientSeed: data.clientSeed || '', nonce: data.nonce || 0 });
+      // Every user needs a committed server seed and a client seed before their first spin
+      if (!data.serverSeedHash) {
+        commitRaffleServerSeed().catch(e => console.error("Error committing raffle server seed:", e));
+      }
+      if (!data.clientSeed) {
+        setDoc(userRaffleDocRef, { clientSeed: generateRaffleSeed().substring(0, 16) }, { merge: true }).catch(e => console.error("Error initializing raffle client seed:", e));
       }
       setLoadingTickets(false);
     }, (error) => {
@@ -1234,45 +3276,182 @@ const RaffleSlotSection = ({ userId, setModalMessage }) => {
     return () => unsubscribe();
   }, [userId, userRaffleDocRef, setModalMessage]);
 
+  // Remaining prize pools drive the published odds
   useEffect(() => {
-    setTotalCost(ticketQuantity * EDINOSUR_TICKET_COST);
-  }, [ticketQuantity]);
+    const unsubscribePools = onSnapshot(rafflePrizePoolsDocRef, (docSnap) => {
+      setPrizePoolsData(docSnap.exists() ? docSnap.data() : {});
+    }, (error) => console.error("Error fetching raffle prize pools:", error));
+    const unsubscribeConfig = onSnapshot(raffleConfigDocRef, (docSnap) => {
+      setRaffleConfigData(docSnap.exists() ? docSnap.data() : {});
+    }, (error) => console.error("Error fetching raffle config:", error));
+
+    return () => {
+      unsubscribePools();
+      unsubscribeConfig();
+    };
+  }, []);
 
-  const updateFirestoreTickets = async (newTicketCount) => {
-    if (!userRaffleDocRef) {
-      setModalMessage("Please connect your wallet to save raffle data.");
-      return;
-    }
-    try {
-      await setDoc(userRaffleDocRef, { tickets: newTicketCount }, { merge: true });
-    } catch (error) {
-      console.error("Error updating raffle tickets:", error);
-      setModalMessage(`Failed to update raffle tickets: ${error.message}`);
-    }
-  };
+  // Stamp redemption opens at TGE
+  useEffect(() => {
+    const unsubscribe = onSnapshot(tgeConfigDocRef, (docSnap) => {
+      setTgeTime(docSnap.exists() ? docSnap.data().tgeTime || null : null);
+    }, (error) => console.error("Error fetching TGE config:", error));
 
-  // Simulate blockchain activity
+    return () => unsubscribe();
+  }, []);
+
+  // Recent spins and revealed seeds for the verification panel
   useEffect(() => {
-    const activityMessages = [
-      "New raffle spin initiated by UserXYZ...",
-      "Prize of 10,000 $eDINOSUR distributed to UserABC!",
-      "NFT 'Rare Dino #123' awarded to UserDEF.",
-      "Transaction confirmed: Raffle ticket purchase by UserGHI.",
-      "Monthly vesting of King NFT to UserJKL completed.",
-      "UserMNO claimed $1.00 USDT prize.",
-    ];
-
-    const interval = setInterval(() => {
-      const randomMessage = activityMessages[Math.floor(Math.random() * activityMessages.length)];
-      setBlockchainActivity(prev => {
-        const updatedActivity = [randomMessage, ...prev];
-        return updatedActivity.slice(0, 5); // Keep only the last 5 activities
-      });
-    }, 3000); // Add a new activity every 3 seconds
+    if (!userId) return;
+
+    const spinsQuery = query(getUserRaffleSpinsRef(userId), orderBy('createdAt', 'desc'), limit(RAFFLE_SPIN_HISTORY_LIMIT));
+    const unsubscribeSpins = onSnapshot(spinsQuery, (snapshot) => {
+      setRecentSpins(snapshot.docs.map(spinDoc => ({ id: spinDoc.id, ...spinDoc.data() })));
+    }, (error) => console.error("Error fetching raffle spins:", error));
+    const unsubscribeSeeds = onSnapshot(getUserRaffleRevealedSeedsRef(userId), (snapshot) => {
+      setRevealedSeeds(Object.fromEntries(snapshot.docs.map(seedDoc => [seedDoc.id, seedDoc.data().serverSeed])));
+    }, (error) => console.error("Error fetching revealed raffle seeds:", error));
+
+    return () => {
+      unsubscribeSpins();
+      unsubscribeSeeds();
+    };
+  }, [userId]);
 
+  // Clock for the weekly draw countdown
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
     return () => clearInterval(interval);
   }, []);
 
+  const currentDrawIndex = getRaffleDrawIndex(now);
+
+  // The open draw and this user's entries in it
+  useEffect(() => {
+    const unsubscribeDraw = onSnapshot(getRaffleDrawDocRef(currentDrawIndex), (docSnap) => {
+      setCurrentDraw(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => console.error("Error fetching weekly draw:", error));
+    const unsubscribeEntry = userId ? onSnapshot(doc(getRaffleDrawEntriesRef(currentDrawIndex), userId), (docSnap) => {
+      setDrawEntryTickets(docSnap.exists() ? docSnap.data().tickets || 0 : 0);
+    }, (error) => console.error("Error fetching weekly draw entry:", error)) : () => {};
+
+    return () => {
+      unsubscribeDraw();
+      unsubscribeEntry();
+    };
+  }, [userId, currentDrawIndex]);
+
+  // Past draws; the backend closes each one shortly after its entry period ends
+  useEffect(() => {
+    const pastDrawsQuery = query(raffleDrawsRef, where('closesAt', '<=', getRaffleDrawCloseTime(currentDrawIndex - 1)), orderBy('closesAt', 'desc'), limit(RAFFLE_PAST_DRAWS_LIMIT));
+    const unsubscribe = onSnapshot(pastDrawsQuery, (snapshot) => {
+      setPastDraws(snapshot.docs.map(drawDoc => drawDoc.data()));
+    }, (error) => console.error("Error fetching past weekly draws:", error));
+
+    return () => unsubscribe();
+  }, [currentDrawIndex]);
+
+  useEffect(() => {
+    setTotalCost(ticketQuantity * EDINOSUR_TICKET_COST);
+  }, [ticketQuantity]);
+
+  const handleSetClientSeed = async () => {
+    const clientSeed = clientSeedInput.trim();
+    if (!userRaffleDocRef || !clientSeed) {
+      setModalMessage("Please enter a client seed.");
+      return;
+    }
+    if (clientSeed.length > RAFFLE_CLIENT_SEED_MAX_LENGTH) {
+      setModalMessage(`Client seeds can be at most ${RAFFLE_CLIENT_SEED_MAX_LENGTH} characters.`);
+      return;
+    }
+    try {
+      await setDoc(userRaffleDocRef, { clientSeed }, { merge: true });
+      setClientSeedInput('');
+      setModalMessage("Client seed updated. Your next spins will use it.");
+    } catch (error) {
+      console.error("Error updating client seed:", error);
+      setModalMessage(`Failed to update client seed: ${error.message}`);
+    }
+  };
+
+  const handleRotateSeed = async () => {
+    if (!userId) {
+      setModalMessage("Please connect your wallet to rotate your seed.");
+      return;
+    }
+    try {
+      const { serverSeedHash } = await rotateRaffleServerSeed(fairness.serverSeedHash);
+      setModalMessage(`Your previous server seed has been revealed and your spins with it can now be verified. New server seed hash: ${serverSeedHash}`);
+    } catch (error) {
+      console.error("Error rotating raffle seed:", error);
+      setModalMessage(error instanceof LedgerError ? error.message : `Failed to rotate seed: ${error.message}`);
+    }
+  };
+
+  // Burns stamps to mint a King or Legend NFT straight into the inventory
+  const handleRedeemStamps = async (tier) => {
+    if (!userId) {
+      setModalMessage("Please connect your wallet to redeem stamps.");
+      return;
+    }
+    const cost = STAMP_REDEMPTION_COSTS[tier];
+    try {
+      const { nft: mintedNFT } = await redeemRaffleStamps(tier);
+      setModalMessage(`You burned ${cost} $DINOSUR Stamps and minted ${tier} NFT #${mintedNFT.id}! It's now in your NFT inventory.`);
+    } catch (error) {
+      console.error("Error redeeming stamps:", error);
+      setModalMessage(error instanceof LedgerError ? error.message : `Failed to redeem stamps: ${error.message}`);
+    }
+  };
+
+  const handleVerifySpin = async (spin) => {
+    try {
+      const verification = await verifyRaffleSpin(spin, revealedSeeds[spin.serverSeedHash]);
+      setSpinVerifications(prev => ({ ...prev, [spin.id]: verification }));
+    } catch (error) {
+      console.error("Error verifying raffle spin:", error);
+      setModalMessage(`Failed to verify spin: ${error.message}`);
+    }
+  };
+
+  const handleManualVerification = async () => {
+    const nonce = parseInt(manualVerification.nonce, 10);
+    if (!manualVerification.serverSeed || !manualVerification.clientSeed || isNaN(nonce) || nonce < 0) {
+      setModalMessage("Please enter a server seed, client seed and nonce to verify.");
+      return;
+    }
+    const reels = await calculateSpinReels(manualVerification.serverSeed, manualVerification.clientSeed, nonce, RAFFLE_REEL_STRIP_VERSIONS[manualVerification.stripVersion]);
+    const serverSeedHash = await sha256Hex(manualVerification.serverSeed);
+    setManualVerification(prev => ({ ...prev, reels, serverSeedHash }));
+  };
+
+  const handleEnterDraw = async () => {
+    if (!userId) {
+      setModalMessage("Please connect your wallet to enter the weekly draw.");
+      return;
+    }
+    try {
+      const { drawIndex } = await enterRaffleDraw(drawEntryQuantity);
+      setModalMessage(`You entered ${drawEntryQuantity} ticket${drawEntryQuantity > 1 ? 's' : ''} into weekly draw #${drawIndex}. Good luck!`);
+    } catch (error) {
+      console.error("Error entering weekly draw:", error);
+      setModalMessage(error instanceof LedgerError ? error.message : `Failed to enter the weekly draw: ${error.message}`);
+    }
+  };
+
+  const handleVerifyDraw = async (draw) => {
+    try {
+      const { snapshotHash, seed, winners } = await selectRaffleDrawWinners(draw.drawIndex, draw.serverSeed, draw.snapshot || []);
+      const verified = (draw.serverSeed === undefined || await sha256Hex(draw.serverSeed) === draw.seedHash)
+        && snapshotHash === draw.snapshotHash && seed === draw.seed
+        && JSON.stringify(winners.map(winner => winner.actor)) === JSON.stringify((draw.winners || []).map(winner => winner.actor));
+      setDrawVerifications(prev => ({ ...prev, [draw.drawIndex]: verified }));
+    } catch (error) {
+      console.error("Error verifying weekly draw:", error);
+      setModalMessage(`Failed to verify draw: ${error.message}`);
+    }
+  };
 
   const handleBuyTickets = async () => {
     if (!userId || !userStakingDocRef) {
@@ -1282,92 +3461,120 @@ const RaffleSlotSection = ({ userId, setModalMessage }) => {
 
     // Logic for eDINOSUR purchase
     try {
-      const docSnap = await getDoc(userStakingDocRef);
-      let currentEDinosurBalance = 0;
-      let currentReadyToBurnEDinosur = 0;
-      if (docSnap.exists()) {
-        const data = docSnap.data();
-        currentEDinosurBalance = data.earned || 0;
-        currentReadyToBurnEDinosur = data.readyToBurnEDinosur || 0;
-      }
+      const { tickets: newTicketCount, burnAmount } = await buyRaffleTickets(ticketQuantity);
 
-      if (currentEDinosurBalance >= totalCost) {
-        const newTicketCount = ticketCount + ticketQuantity;
-        const remainingEDinosur = currentEDinosurBalance - totalCost;
-        const burnAmount = totalCost * EDINOSUR_BURN_AMOUNT_PERCENTAGE; // 50% of total cost
-        const newReadyToBurnEDinosur = currentReadyToBurnEDinosur + burnAmount;
-
-        setModalMessage(`You are about to buy ${ticketQuantity} tickets for ${totalCost} $eDINOSUR. ${burnAmount.toFixed(2)} $eDINOSUR will be ready for burning.`);
-        setTicketCount(newTicketCount);
-        await updateFirestoreTickets(newTicketCount);
-        await updateDoc(userStakingDocRef, {
-          earned: remainingEDinosur,
-          readyToBurnEDinosur: newReadyToBurnEDinosur
-        }); // Deduct eDINOSur and add to readyToBurn
-        setBlockchainActivity(prev => [`Ticket purchase: ${userId ? userId.substring(0, 6) : 'Anonymous'} bought ${ticketQuantity} tickets for ${totalCost} $eDINOSUR. ${burnAmount.toFixed(2)} $eDINOSUR marked for burn.`, ...prev].slice(0,5));
-      } else {
-        setModalMessage(`Insufficient $eDINOSUR. You need ${totalCost} $eDINOSUR but have ${currentEDinosurBalance.toFixed(2)}.`);
-      }
+      setModalMessage(`You bought ${ticketQuantity} tickets for ${totalCost} $eDINOSUR. ${burnAmount.toFixed(2)} $eDINOSUR will be ready for burning.`);
+      setTicketCount(newTicketCount);
     } catch (error) {
       console.error("Error buying tickets:", error);
-      setModalMessage(`Failed to buy tickets: ${error.message}`);
+      setModalMessage(error instanceof LedgerError ? error.message : `Failed to buy tickets: ${error.message}`);
     }
   };
 
-  const handleSpin = () => {
+  // Plays `spinCount` spins as one batch, or with `auto` keeps playing batches until a stop
+  // condition is met, the tickets run out or the player presses Stop. Stop conditions apply to
+  // every multi-spin run.
+  const handleSpin = async (spinCount = 1, { auto = false } = {}) => {
     if (isSpinning) {
       setModalMessage("Reels are already spinning! Please wait.");
       return;
     }
 
-    if (ticketCount > 0) {
-      setIsSpinning(true);
-      setModalMessage("Spinning the slot machine! Good luck!");
-
-      // Simulate spinning reels
-      const spinDuration = 2000; // 2 seconds
-      const spinInterval = 100; // Update reels every 100ms
-
-      let spinTimer = 0;
-      const intervalId = setInterval(() => {
-        setReel1(symbols[Math.floor(Math.random() * symbols.length)]);
-        setReel2(symbols[Math.floor(Math.random() * symbols.length)]);
-        setReel3(symbols[Math.floor(Math.random() * symbols.length)]);
-        spinTimer += spinInterval;
-
-        if (spinTimer >= spinDuration) {
-          clearInterval(intervalId);
-          setIsSpinning(false);
-          const newTicketCount = ticketCount - 1;
-          setTicketCount(newTicketCount); // Consume one ticket per spin
-          updateFirestoreTickets(newTicketCount);
-
-          // Determine result (simplified for simulation)
-          const finalReel1 = symbols[Math.floor(Math.random() * symbols.length)];
-          const finalReel2 = symbols[Math.floor(Math.random() * symbols.length)];
-          const finalReel3 = symbols[Math.floor(Math.random() * symbols.length)];
-          setReel1(finalReel1);
-          setReel2(finalReel2);
-          setReel3(finalReel3);
-
-          let spinResult = "";
-          if (finalReel1 === finalReel2 && finalReel2 === finalReel3) {
-            spinResult = `JACKPOT! You won with ${finalReel1} ${finalReel2} ${finalReel3}!`;
-          } else if (finalReel1 === finalReel2 || finalReel2 === finalReel3 || finalReel1 === finalReel3) {
-            spinResult = `You got two matching symbols! Try again!`;
-          } else {
-            spinResult = `No win this time. Keep spinning!`;
-          }
-          setModalMessage(spinResult);
-          setBlockchainActivity(prev => [`Spin by ${userId ? userId.substring(0, 6) : 'Anonymous'}: ${spinResult}`, ...prev].slice(0,5));
-        }
-      }, spinInterval);
+    if (!userId || ticketCount <= 0) {
+      setModalMessage("You need to buy tickets first!");
+      return;
+    }
+
+    const stopAboveValue = stopConditions.stopAboveEnabled ? parseRaffleStopValue(stopConditions.stopAboveValue) : null;
+    if (Number.isNaN(stopAboveValue)) {
+      setModalMessage("Please enter a valid prize value to stop at.");
+      return;
+    }
 
+    setIsSpinning(true);
+    setIsAutoSpinning(auto);
+    autoSpinStopRef.current = false;
+    setSpinSummary(null);
+    if (auto) {
+      setModalMessage("Auto-spinning until a stop condition is met or your tickets run out! Good luck!");
     } else {
-      setModalMessage("You need to buy tickets first!");
+      setModalMessage(spinCount > 1 ? `Spinning up to ${spinCount} times! Good luck!` : "Spinning the slot machine! Good luck!");
+    }
+
+    // Spin the reels visually while the outcome is settled
+    const spinDuration = 2000; // 2 seconds
+    const spinInterval = 100; // Update reels every 100ms
+    const intervalId = setInterval(() => {
+      setReel1(symbols[Math.floor(Math.random() * symbols.length)]);
+      setReel2(symbols[Math.floor(Math.random() * symbols.length)]);
+      setReel3(symbols[Math.floor(Math.random() * symbols.length)]);
+    }, spinInterval);
+    const minimumSpin = new Promise(resolve => setTimeout(resolve, spinDuration));
+
+    const spins = [];
+    let ticketsLeft = ticketCount;
+    let stopReason = 'completed';
+    try {
+      do {
+        const batch = await playRaffleSpins(auto ? RAFFLE_BATCH_SPIN_LIMIT : spinCount, auto || spinCount > 1 ? {
+          stopOnAnyWin: stopConditions.stopOnAnyWin,
+          stopAboveValue,
+        } : {});
+        spins.push(...batch.spins);
+        ticketsLeft = batch.ticketsLeft;
+        stopReason = batch.stopReason;
+        if (auto) setSpinSummary({ ...summariseRaffleSpins(spins), spins: [...spins], ticketsLeft, stopReason });
+      } while (auto && stopReason === 'completed' && !autoSpinStopRef.current);
+      if (auto && stopReason === 'completed') stopReason = 'stopped';
+      await minimumSpin;
+      clearInterval(intervalId);
+
+      if (spins.length === 0) {
+        setModalMessage("No spins were played. Please check your tickets and try again.");
+        return;
+      }
+      const lastSpin = spins[spins.length - 1];
+      const [finalReel1, finalReel2, finalReel3] = lastSpin.reels;
+      setReel1(finalReel1);
+      setReel2(finalReel2);
+      setReel3(finalReel3);
+
+      if (!auto && spins.length === 1) {
+        let spinResult = "";
+        if (lastSpin.prize) {
+          spinResult = `${lastSpin.reels.join(' ')} You won ${formatRafflePrize(lastSpin.prize)}${lastSpin.nftId ? ` (#${lastSpin.nftId}). It vests until ${new Date(lastSpin.nftUnlocksAt).toLocaleDateString()} and then moves into your NFT inventory` : ''}!`;
+        } else if (lastSpin.poolEmpty) {
+          spinResult = `${lastSpin.reels.join(' ')} This prize has run out for now. Keep spinning!`;
+        } else {
+          spinResult = `No win this time. Keep spinning!`;
+        }
+        setModalMessage(spinResult);
+        return;
+      }
+
+      const summary = { ...summariseRaffleSpins(spins), spins, ticketsLeft, stopReason };
+      setSpinSummary(summary);
+      setModalMessage(`${spins.length} spins played: ${summary.wins} win${summary.wins === 1 ? '' : 's'}. ${RAFFLE_STOP_REASON_LABELS[stopReason]} See the summary below the slot machine.`);
+    } catch (error) {
+      clearInterval(intervalId);
+      console.error("Error spinning raffle:", error);
+      const reason = error instanceof LedgerError ? error.message : `Failed to spin: ${error.message}`;
+      // An auto-spin run keeps the spins it played before the failure
+      if (spins.length > 0) {
+        setSpinSummary({ ...summariseRaffleSpins(spins), spins, ticketsLeft, stopReason: 'failed' });
+      }
+      setModalMessage(spins.length > 0 ? `${reason} ${spins.length} spins were played before that; see the summary below the slot machine.` : reason);
+    } finally {
+      setIsSpinning(false);
+      setIsAutoSpinning(false);
     }
   };
 
+  const prizePools = readRafflePrizePools(prizePoolsData, raffleConfigData);
+  const expectedReturn = calculateRaffleExpectedReturn(prizePools, now);
+  const nftPaytableEntries = RAFFLE_PAYTABLE.filter(entry => entry.prize.type === 'nft');
+  const raffleNFTMonth = getRaffleNFTMonth(prizePools, now);
+
   if (loadingTickets) {
     return (
       <SectionWrapper id="raffle-slot" title="Raffle Slot: Win Legendary Rewards!">
@@ -1462,31 +3669,332 @@ const RaffleSlotSection = ({ userId, setModalMessage }) => {
             {/* Overlay for visual effect */}
             <div className="absolute inset-0 border-y-4 border-gray-400 pointer-events-none"></div>
           </div>
-          <p className="text-xl sm:text-2xl text-yellow-400 mb-4">Tickets Available: <span className="font-mono">{ticketCount}</span></p>
+          <p className="text-xl sm:text-2xl text-yellow-400 mb-2">Tickets Available: <span className="font-mono">{ticketCount}</span></p>
+          <p className="text-base sm:text-lg text-gray-300 mb-2">USDT Winnings: <span className="font-mono text-green-400">${usdtWinnings.toFixed(2)}</span></p>
+          <p className="text-base sm:text-lg text-gray-300 mb-4">$DINOSUR Stamps: <span className="font-mono text-green-400">{stampCount}</span></p>
           <button
             className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 sm:py-4 sm:px-8 rounded-full text-base sm:text-xl shadow-lg transform hover:scale-105 transition-transform duration-300"
-            onClick={handleSpin}
+            onClick={() => handleSpin(1)}
             disabled={isSpinning}
           >
             {isSpinning ? 'Spinning...' : 'Spin!'}
           </button>
+
+          {/* Batch and auto-spin */}
+          <div className="mt-6 bg-gray-800 rounded-lg p-4 text-left">
+            <h4 className="text-xl font-bold text-yellow-300 mb-3 text-center">Batch & Auto-Spin</h4>
+            <div className="flex flex-col sm:flex-row justify-center items-center gap-3 mb-3">
+              <label htmlFor="batch-spin-count" className="text-sm sm:text-base text-gray-300">Spins:</label>
+              <input
+                id="batch-spin-count"
+                type="number"
+                min="2"
+                max={RAFFLE_BATCH_SPIN_LIMIT}
+                value={batchSpinCount}
+                onChange={(e) => setBatchSpinCount(Math.min(RAFFLE_BATCH_SPIN_LIMIT, Math.max(2, parseInt(e.target.value) || 2)))}
+                className="w-24 p-2 rounded-lg bg-gray-900 text-white border border-gray-600 text-sm sm:text-base"
+              />
+              <button
+                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-full text-sm sm:text-base shadow-md"
+                onClick={() => handleSpin(batchSpinCount)}
+                disabled={isSpinning}
+              >
+                Spin {batchSpinCount}
+              </button>
+              {isAutoSpinning ? (
+                <button
+                  className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-full text-sm sm:text-base shadow-md"
+                  onClick={() => { autoSpinStopRef.current = true; }}
+                >
+                  Stop
+                </button>
+              ) : (
+                <button
+                  className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-full text-sm sm:text-base shadow-md"
+                  onClick={() => handleSpin(RAFFLE_BATCH_SPIN_LIMIT, { auto: true })}
+                  disabled={isSpinning}
+                >
+                  Auto-Spin
+                </button>
+              )}
+            </div>
+            <div className="flex flex-col sm:flex-row justify-center items-center gap-4 text-sm sm:text-base text-gray-300">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={stopConditions.stopOnAnyWin}
+                  onChange={(e) => setStopConditions(prev => ({ ...prev, stopOnAnyWin: e.target.checked }))}
+                />
+                Stop on any win
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={stopConditions.stopAboveEnabled}
+                  onChange={(e) => setStopConditions(prev => ({ ...prev, stopAboveEnabled: e.target.checked }))}
+                />
+                Stop on a prize above
+                <input
+                  type="number"
+                  min="0"
+                  value={stopConditions.stopAboveValue}
+                  onChange={(e) => setStopConditions(prev => ({ ...prev, stopAboveValue: e.target.value }))}
+                  className="w-28 p-1 rounded bg-gray-900 text-white border border-gray-600"
+                  placeholder="$eDINOSUR"
+                />
+                $eDINOSUR
+              </label>
+            </div>
+            <p className="text-xs sm:text-sm text-gray-400 mt-2 text-center">
+              Runs always stop when your tickets run out. A batch plays at most {RAFFLE_BATCH_SPIN_LIMIT} spins; Auto-Spin keeps playing batches until a stop condition is met or you press Stop. USDT prizes count at {RAFFLE_EDINOSUR_PER_USDT.toLocaleString()} $eDINOSUR per USDT; NFTs and Stamps always count as above the limit.
+            </p>
+          </div>
+
+          {/* Summary of the last batch */}
+          {spinSummary && (
+            <div className="mt-6 bg-gray-800 rounded-lg p-4 text-left">
+              <h4 className="text-xl font-bold text-yellow-300 mb-2">Last Run: {spinSummary.spins.length} Spins</h4>
+              <p className="text-sm sm:text-base text-gray-300 mb-2">{RAFFLE_STOP_REASON_LABELS[spinSummary.stopReason]} Tickets left: <span className="font-mono">{spinSummary.ticketsLeft}</span></p>
+              <ul className="text-sm sm:text-base text-gray-300 space-y-1 mb-3">
+                <li>Wins: <span className="font-mono text-yellow-400">{spinSummary.wins}</span></li>
+                <li>$eDINOSUR won: <span className="font-mono text-yellow-400">{spinSummary.edinosur.toLocaleString()}</span></li>
+                <li>USDT won: <span className="font-mono text-yellow-400">${spinSummary.usdt.toFixed(2)}</span></li>
+                <li>Stamps won: <span className="font-mono text-yellow-400">{spinSummary.stamps}</span></li>
+                <li>NFTs won (vesting): <span className="font-mono text-yellow-400">{spinSummary.nfts.length > 0 ? spinSummary.nfts.join(', ') : 'None'}</span></li>
+              </ul>
+              <div className="max-h-40 overflow-y-auto font-mono text-xs sm:text-sm text-gray-400">
+                {spinSummary.spins.map(spin => (
+                  <p key={spin.nonce}>#{spin.nonce} {spin.reels.join(' ')} {spin.prize ? `→ ${formatRafflePrize(spin.prize)}` : ''}</p>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
-        {/* Blockchain Activity Display Monitor - Moved here */}
+        {/* Weekly draw */}
         <div className="mt-8 sm:mt-10 bg-gray-700 rounded-xl p-6 sm:p-8 shadow-lg">
-          <h3 className="text-3xl sm:text-4xl font-bold text-green-300 mb-4 sm:mb-6">Raffle Blockchain Activity</h3>
-          <div className="bg-gray-900 border-4 border-blue-500 rounded-lg p-4 h-40 sm:h-48 overflow-y-auto text-left font-mono text-xs sm:text-sm text-gray-300 shadow-inner">
-            {blockchainActivity.length === 0 ? (
-              <p className="text-center text-gray-400">No recent activity...</p>
+          <h3 className="text-3xl sm:text-4xl font-bold text-green-300 mb-4 sm:mb-6">Weekly Draw #{currentDrawIndex}</h3>
+          <p className="text-base sm:text-lg text-gray-300 mb-4">
+            Enter your tickets into this week's draw instead of spinning them. Each entered ticket is one chance to win; every entrant can win at most one prize.
+          </p>
+          <p className="text-xl sm:text-2xl text-yellow-400 mb-2">Closes in <span className="font-mono">{formatCountdown(getRaffleDrawCloseTime(currentDrawIndex), now)}</span></p>
+          <p className="text-base sm:text-lg text-gray-300 mb-2">Total entries: <span className="font-mono text-green-400">{currentDraw ? currentDraw.totalEntries || 0 : 0}</span></p>
+          <p className="text-base sm:text-lg text-gray-300 mb-2">Your entries: <span className="font-mono text-green-400">{drawEntryTickets}</span></p>
+          <p className="text-xs sm:text-sm text-gray-400 mb-4 break-all">
+            Committed seed hash: <span className="font-mono">{currentDraw && currentDraw.seedHash ? currentDraw.seedHash : 'committed with the first entry'}</span>
+          </p>
+          <div className="flex flex-col sm:flex-row justify-center items-center gap-3 mb-4">
+            <input
+              type="number"
+              min="1"
+              value={drawEntryQuantity}
+              onChange={(e) => setDrawEntryQuantity(Math.max(1, parseInt(e.target.value) || 1))}
+              className="w-full sm:w-32 p-3 rounded-lg bg-gray-900 text-white border border-gray-600 focus:ring-2 focus:ring-green-500 focus:border-transparent text-base sm:text-lg"
+            />
+            <button
+              className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-full text-base sm:text-lg shadow-lg"
+              onClick={handleEnterDraw}
+              disabled={isSpinning}
+            >
+              Enter Tickets
+            </button>
+          </div>
+          <ul className="text-sm sm:text-base text-gray-300 space-y-1 mb-4">
+            {RAFFLE_DRAW_PRIZES.map((prize, position) => (
+              <li key={position}>#{position + 1}: <span className="text-yellow-400">{formatRafflePrize(prize)}</span></li>
+            ))}
+          </ul>
+          <p className="text-xs sm:text-sm text-gray-400 mb-6">
+            The draw's server seed is committed above before it takes entries and revealed when it closes, together with the entries. The seed is SHA-256("draw-N:server seed:snapshot hash") and prize k goes to whoever holds ticket SHA-256("seed:k") mod the remaining tickets, so anyone can recompute the winners.
+          </p>
+
+          <h4 className="text-xl font-bold text-yellow-300 mb-2">Past Draws</h4>
+          {pastDraws.length === 0 ? (
+            <p className="text-gray-400">No draws have closed yet.</p>
+          ) : (
+            <div className="space-y-4 text-left">
+              {pastDraws.map(draw => (
+                <div key={draw.drawIndex} className="bg-gray-800 rounded-lg p-4">
+                  <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                    <p className="text-base sm:text-lg font-semibold text-white">Draw #{draw.drawIndex} · {new Date(draw.closesAt).toLocaleDateString()}</p>
+                    {draw.status === 'closed' ? (
+                      drawVerifications[draw.drawIndex] === undefined ? (
+                        <button className="bg-gray-600 hover:bg-gray-500 text-white py-1 px-3 rounded-full text-xs sm:text-sm" onClick={() => handleVerifyDraw(draw)}>
+                          Verify
+                        </button>
+                      ) : drawVerifications[draw.drawIndex]
+                        ? <span className="text-green-400 font-semibold">Verified ✓</span>
+                        : <span className="text-red-400 font-semibold">Mismatch ✗</span>
+                    ) : draw.status === 'void' ? (
+                      <span className="text-gray-400 text-sm">Voided · tickets returned</span>
+                    ) : (
+                      <span className="text-yellow-300 text-sm">Settling...</span>
+                    )}
+                  </div>
+                  {draw.status === 'closed' && (
+                    <>
+                      <p className="text-xs sm:text-sm text-gray-400 mb-2">{draw.snapshot.length} entrants, {draw.totalEntries} tickets · snapshot <span className="font-mono" title={draw.snapshotHash}>{draw.snapshotHash.substring(0, 10)}...</span>{draw.serverSeed && <> · seed <span className="font-mono" title={draw.serverSeed}>{draw.serverSeed.substring(0, 10)}...</span></>}</p>
+                      {draw.winners.length === 0 ? (
+                        <p className="text-gray-400 text-sm">No entries, no winners.</p>
+                      ) : (
+                        <ul className="text-sm sm:text-base text-gray-300 space-y-1">
+                          {draw.winners.map(winner => (
+                            <li key={winner.position}>#{winner.position + 1} <span className="font-mono">{winner.actor}</span> won <span className="text-yellow-400">{winner.prizeLabel}</span></li>
+                          ))}
+                        </ul>
+                      )}
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Stamp redemption */}
+        {userId && (
+          <div className="mt-8 sm:mt-10 bg-gray-700 rounded-xl p-6 sm:p-8 shadow-lg">
+            <h3 className="text-3xl sm:text-4xl font-bold text-green-300 mb-4 sm:mb-6">Redeem $DINOSUR Stamps</h3>
+            <p className="text-base sm:text-lg text-gray-300 mb-4">
+              You have <span className="font-mono text-yellow-400">{stampCount}</span> Stamps. Burn them to mint King and Legend NFTs for free.
+              {!isTgeLive(tgeTime, now) && <span className="block text-yellow-300 mt-2">Stamp redemption opens at TGE{tgeTime ? ` (${new Date(tgeTime).toLocaleDateString()})` : ''}.</span>}
+            </p>
+            <div className="flex flex-col sm:flex-row justify-center gap-4">
+              {Object.entries(STAMP_REDEMPTION_COSTS).map(([tier, cost]) => (
+                <button
+                  key={tier}
+                  className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-3 px-6 rounded-full text-base sm:text-lg shadow-lg"
+                  onClick={() => handleRedeemStamps(tier)}
+                  disabled={!isTgeLive(tgeTime, now) || stampCount < cost}
+                >
+                  Mint {tier} ({cost} Stamps)
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Provably fair seeds and spin verification */}
+        {userId && (
+          <div className="mt-8 sm:mt-10 bg-gray-700 rounded-xl p-6 sm:p-8 shadow-lg text-left">
+            <h3 className="text-3xl sm:text-4xl font-bold text-green-300 mb-4 sm:mb-6 text-center">Provably Fair</h3>
+            <p className="text-sm sm:text-base text-gray-300 mb-4">
+              Every spin's reels are HMAC-SHA256(server seed, "client seed:nonce"). The server seed is committed by its hash before you spin and is revealed when you rotate it, so you can recompute any past spin.
+            </p>
+            <div className="space-y-2 text-sm sm:text-base text-gray-300 mb-4">
+              <p>Server seed hash: <span className="font-mono text-yellow-400 break-all">{fairness.serverSeedHash || 'Committing...'}</span></p>
+              <p>Client seed: <span className="font-mono text-yellow-400 break-all">{fairness.clientSeed || '—'}</span></p>
+              <p>Next nonce: <span className="font-mono text-yellow-400">{fairness.nonce}</span></p>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-3 mb-6">
+              <input
+                type="text"
+                value={clientSeedInput}
+                maxLength={RAFFLE_CLIENT_SEED_MAX_LENGTH}
+                onChange={(e) => setClientSeedInput(e.target.value)}
+                className="flex-1 p-2 rounded-lg bg-gray-900 text-white border border-gray-600 focus:ring-2 focus:ring-green-500 focus:border-transparent font-mono text-sm"
+                placeholder="New client seed"
+              />
+              <button className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-full text-sm sm:text-base shadow-md" onClick={handleSetClientSeed}>
+                Set Client Seed
+              </button>
+              <button className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-full text-sm sm:text-base shadow-md" onClick={handleRotateSeed} disabled={isSpinning}>
+                Reveal & Rotate Server Seed
+              </button>
+            </div>
+
+            <h4 className="text-xl font-bold text-yellow-300 mb-2">Your Recent Spins</h4>
+            {recentSpins.length === 0 ? (
+              <p className="text-gray-400 mb-6">No spins yet.</p>
             ) : (
-              blockchainActivity.map((activity, index) => (
-                <p key={index} className="mb-1">{activity}</p>
-              ))
+              <div className="overflow-x-auto mb-6">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-gray-400 border-b border-gray-600">
+                      <th className="py-2 pr-3">Time</th>
+                      <th className="py-2 pr-3">Reels</th>
+                      <th className="py-2 pr-3">Nonce</th>
+                      <th className="py-2 pr-3">Seed Hash</th>
+                      <th className="py-2">Verification</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {recentSpins.map((spin) => {
+                      const verification = spinVerifications[spin.id];
+                      return (
+                        <tr key={spin.id} className="border-b border-gray-600 text-gray-300">
+                          <td className="py-2 pr-3">{new Date(spin.createdAt).toLocaleString()}</td>
+                          <td className="py-2 pr-3 text-lg">{spin.reels.join(' ')}</td>
+                          <td className="py-2 pr-3 font-mono">{spin.nonce}</td>
+                          <td className="py-2 pr-3 font-mono" title={spin.serverSeedHash}>{spin.serverSeedHash.substring(0, 10)}...</td>
+                          <td className="py-2">
+                            {verification ? (
+                              verification.hashMatches && verification.reelsMatch
+                                ? <span className="text-green-400 font-semibold">Verified ✓ (strips v{verification.stripVersion})</span>
+                                : <span className="text-red-400 font-semibold">Mismatch ✗ ({verification.reels.join(' ')})</span>
+                            ) : revealedSeeds[spin.serverSeedHash] ? (
+                              <button className="text-blue-400 hover:text-blue-300" onClick={() => handleVerifySpin(spin)}>Verify</button>
+                            ) : (
+                              <span className="text-gray-500">Seed not revealed yet</span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <h4 className="text-xl font-bold text-yellow-300 mb-2">Verify Any Spin</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 mb-3">
+              <input
+                type="text"
+                value={manualVerification.serverSeed}
+                onChange={(e) => setManualVerification(prev => ({ ...prev, serverSeed: e.target.value.trim(), reels: null }))}
+                className="p-2 rounded-lg bg-gray-900 text-white border border-gray-600 font-mono text-sm"
+                placeholder="Revealed server seed"
+              />
+              <input
+                type="text"
+                value={manualVerification.clientSeed}
+                onChange={(e) => setManualVerification(prev => ({ ...prev, clientSeed: e.target.value, reels: null }))}
+                className="p-2 rounded-lg bg-gray-900 text-white border border-gray-600 font-mono text-sm"
+                placeholder="Client seed"
+              />
+              <input
+                type="number"
+                min="0"
+                value={manualVerification.nonce}
+                onChange={(e) => setManualVerification(prev => ({ ...prev, nonce: e.target.value, reels: null }))}
+                className="p-2 rounded-lg bg-gray-900 text-white border border-gray-600 font-mono text-sm"
+                placeholder="Nonce"
+              />
+              <select
+                value={manualVerification.stripVersion}
+                onChange={(e) => setManualVerification(prev => ({ ...prev, stripVersion: Number(e.target.value), reels: null }))}
+                className="p-2 rounded-lg bg-gray-900 text-white border border-gray-600 text-sm"
+              >
+                {Object.keys(RAFFLE_REEL_STRIP_VERSIONS).map(version => (
+                  <option key={version} value={version}>Reel strips v{version}</option>
+                ))}
+              </select>
+            </div>
+            <button className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-full text-sm sm:text-base shadow-md" onClick={handleManualVerification}>
+              Calculate Reels
+            </button>
+            {manualVerification.reels && (
+              <div className="mt-3 text-sm sm:text-base text-gray-300">
+                <p>Reels: <span className="text-2xl">{manualVerification.reels.join(' ')}</span></p>
+                <p>Server seed hash: <span className="font-mono text-yellow-400 break-all">{manualVerification.serverSeedHash}</span></p>
+              </div>
             )}
           </div>
-          <p className="text-xs sm:text-sm text-gray-400 mt-4">
-            (Simulated blockchain activity for demonstration purposes.)
-          </p>
+        )}
+
+        {/* Raffle activity from the public event stream */}
+        <div className="mt-8 sm:mt-10">
+          <PublicEventsFeed title="Raffle Activity" types={['ticket-purchase', 'spin', 'prize', 'draw-entry', 'draw-result']} />
         </div>
 
         <div className="mt-8 sm:mt-10 bg-gray-700 rounded-xl p-6 sm:p-8 shadow-lg">
@@ -1495,41 +4003,58 @@ const RaffleSlotSection = ({ userId, setModalMessage }) => {
             It's your chance to turn your <span className="font-semibold text-yellow-300">$eDINOSUR</span> into extraordinary rewards! The raffle offers a diverse range of prizes, from valuable USDT to exclusive NFTs, making every spin a thrilling opportunity.
           </p>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-left text-base sm:text-lg text-gray-300">
-            <div>
-              <h4 className="font-bold text-yellow-300 mb-2">USDT Rewards:</h4>
-              <ul className="list-disc list-inside space-y-1 ml-4">
-                <li>$0.50 USDT</li>
-                <li>$1.00 USDT</li>
-                <li>$3.00 USDT</li>
-                <li>$5.00 USDT</li>
-                <li>$10.00 USDT</li>
-                <li>$15.00 USDT</li>
-                <li>$30.00 USDT</li>
-                <li>$50.00 USDT</li>
-                <li>$100.00 USDT</li>
-                <li>$250.00 USDT</li>
-                <li>$500.00 USDT</li>
-                <li>$1000.00 USDT</li>
-              </ul>
+            <div className="md:col-span-2">
+              <h4 className="font-bold text-yellow-300 mb-2">Prize Table & Odds:</h4>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm sm:text-base">
+                  <thead>
+                    <tr className="text-gray-400 border-b border-gray-600">
+                      <th className="py-2 pr-4">Reels</th>
+                      <th className="py-2 pr-4">Prize</th>
+                      <th className="py-2 pr-4">Odds</th>
+                      <th className="py-2">Remaining</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {RAFFLE_PAYTABLE.map((entry) => {
+                      const available = isPaytablePoolAvailable(entry, prizePools, now);
+                      return (
+                        <tr key={entry.id} className={`border-b border-gray-600 ${available ? '' : 'text-gray-500 line-through'}`}>
+                          <td className="py-2 pr-4 text-lg">{entry.line ? entry.line.join(' ') : `${Array(entry.count).fill(entry.symbol).join(' ')}${entry.count < RAFFLE_REEL_STRIPS.length ? ' + any' : ''}`}</td>
+                          <td className="py-2 pr-4">{formatRafflePrize(entry.prize)}</td>
+                          <td className="py-2 pr-4 font-mono">1 in {Math.round(1 / calculatePaytableOdds(entry)).toLocaleString()}</td>
+                          <td className="py-2 font-mono">{entry.pool === undefined ? 'Unlimited' : `${Math.max(0, entry.pool - (prizePools.awarded[entry.id] || 0))} / ${entry.pool}`}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-sm sm:text-base text-gray-300 mt-3">
+                Expected return per {EDINOSUR_TICKET_COST.toLocaleString()} $eDINOSUR ticket: <span className="font-mono text-yellow-400">{Math.round(expectedReturn.tokenValue).toLocaleString()} $eDINOSUR</span> ({((expectedReturn.tokenValue / EDINOSUR_TICKET_COST) * 100).toFixed(1)}%) in $eDINOSUR and USDT prizes (USDT valued at {RAFFLE_EDINOSUR_PER_USDT.toLocaleString()} $eDINOSUR), plus a <span className="font-mono text-yellow-400">{(expectedReturn.nftChance * 100).toFixed(2)}%</span> chance of an NFT and <span className="font-mono text-yellow-400">{expectedReturn.stamps.toFixed(3)}</span> $DINOSUR Stamps on every spin.
+              </p>
             </div>
-            <div>
-              <h4 className="font-bold text-yellow-300 mb-2">$eDINOSUR Rewards:</h4>
-              <ul className="list-disc list-inside space-y-1 ml-4">
-                <li>10,000 $eDINOSUR</li>
-                <li>20,000 $eDINOSUR</li>
-                <li>30,000 $eDINOSUR</li> {/* Added */}
-                <li>40,000 $eDINOSUR</li> {/* Added */}
-                <li>50,000 $eDINOSUR</li>
-                <li>70,000 $eDINOSUR</li> {/* Added */}
-                <li>85,000 $eDINOSUR</li> {/* Added */}
-                <li>100,000 $eDINOSUR</li>
-                <li>125,000 $eDINOSUR</li> {/* Added */}
-                <li>500,000 $eDINOSUR</li>
-                <li>1,000,000 $eDINOSUR</li>
-                <li>1,500,000 $eDINOSUR</li>
-                <li>2,000,000 $eDINOSUR</li>
-              </ul>
-              <h4 className="font-bold text-yellow-300 mt-4 mb-2">NFT Rewards:</h4>
+            <div className="md:col-span-2">
+              <h4 className="font-bold text-yellow-300 mb-2">Raffle NFTs Available This Month:</h4>
+              <p className="text-sm text-gray-400 mb-2">
+                {raffleNFTMonth >= 0
+                  ? `Release month ${Math.min(raffleNFTMonth + 1, RAFFLE_NFT_VESTING_MONTHS)} of ${RAFFLE_NFT_VESTING_MONTHS}. Next release: ${new Date(getRaffleNFTUnlockTime(prizePools, now)).toLocaleDateString()}.`
+                  : prizePools.nftReleaseStartTime
+                    ? `The ${RAFFLE_NFT_VESTING_MONTHS}-month release starts on ${new Date(prizePools.nftReleaseStartTime).toLocaleDateString()}.`
+                    : `The ${RAFFLE_NFT_VESTING_MONTHS}-month release date will be announced soon.`}
+              </p>
+              <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-4">
+                {nftPaytableEntries.map((entry) => (
+                  <div key={entry.id} className="bg-gray-800 rounded-lg p-3 text-center">
+                    <p className="font-semibold text-gray-200">{entry.prize.tier}</p>
+                    <p className="font-mono text-xl text-yellow-400">{calculateRaffleNFTMonthlyAvailability(entry, prizePools, now)}</p>
+                    <p className="text-xs text-gray-400">{prizePools.awarded[entry.id] || 0} / {entry.pool} won</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+            <div className="md:col-span-2">
+              <h4 className="font-bold text-yellow-300 mb-2">NFT Rewards:</h4>
               <p className="text-gray-300 text-sm mb-2">Win a chance to acquire rare Dino Fighter G1 NFTs, including:</p>
               <ul className="list-disc list-inside space-y-1 ml-4">
                 <li><span className="font-semibold">Common, Rare, Unique NFTs:</span> 50% of these NFTs are exclusively available through the raffle, distributed with monthly vesting to ensure fair play and sustained excitement.</li>
@@ -1545,38 +4070,361 @@ const RaffleSlotSection = ({ userId, setModalMessage }) => {
   );
 };
 
+// --- Referrals ---
+// A `?ref=CODE` link is remembered on the first visit and bound by the backend once the visitor
+// has signed in with a new account; existing accounts can't be recruited through a link.
+// Codes are registered and resolved by the backend, so nobody can look up whose a code is.
+// Bindings live in the public referrals collection, one document per referee, and are permanent.
+// Each binding also stores the referee's uplines (referrer, their referrer, ...) so commission
+// can be spread over several levels without walking the graph on every purchase.
+const REFERRAL_STORAGE_KEY = 'dinoPendingReferralCode';
+const REFERRAL_ACCOUNT_STORAGE_KEY = 'dinoPendingReferralAccount'; // The new account the pending code is for
+
+const referralsRef = collection(db, `artifacts/${appId}/public/data/referrals`);
+const getReferralDocRef = (refereeId) => doc(referralsRef, refereeId);
+const getAffiliateDocRef = (userId) => doc(db, `artifacts/${appId}/users/${userId}/data/affiliate`);
+// One document per referee anywhere in the user's downline, with their level and the
+// commission they've earned the user, by source
+const getAffiliateRefereesRef = (userId) => collection(db, `artifacts/${appId}/users/${userId}/data/affiliate/referees`);
+
+// Referrers earn a share of what their referees spend, in $eDINOSUR. `commissionLevels[0]`
+// holds the direct referrer's rates, `commissionLevels[1]` their referrer's, and so on.
+const referralConfigDocRef = doc(db, `artifacts/${appId}/public/data/affiliate/config`);
+const REFERRAL_MAX_LEVELS = 5; // Depth of the stored upline chain, and so the most levels config can pay
+const DEFAULT_REFERRAL_CONFIG = {
+  commissionLevels: [
+    { sale: 0.05, tickets: 0.05, slots: 0.05 },
+    { sale: 0.02, tickets: 0.02, slots: 0.02 },
+    { sale: 0.01, tickets: 0.01, slots: 0.01 },
+  ],
+  // $eDINOSUR paid to the top affiliates of each season, ranked by `seasonPrizeMetric`
+  seasonPrizes: [5000000, 2500000, 1000000, 500000, 250000],
+  seasonPrizeMetric: 'earnings',
+};
+const REFERRAL_COMMISSION_SOURCES = {
+  sale: 'Sale purchases',
+  tickets: 'Raffle tickets',
+  slots: 'Staking slots',
+};
+
+// Configs saved before commission had levels only set `commissionRates`, the direct referrer's rates
+const readStoredCommissionLevels = (data) => {
+  if (data.commissionLevels) return data.commissionLevels;
+  if (data.commissionRates) return [{ ...DEFAULT_REFERRAL_CONFIG.commissionLevels[0], ...data.commissionRates }, ...DEFAULT_REFERRAL_CONFIG.commissionLevels.slice(1)];
+  return DEFAULT_REFERRAL_CONFIG.commissionLevels;
+};
+
+const readReferralConfig = (data = {}) => ({
+  ...DEFAULT_REFERRAL_CONFIG,
+  ...data,
+  commissionLevels: readStoredCommissionLevels(data)
+    .slice(0, REFERRAL_MAX_LEVELS)
+    .map(rates => Object.fromEntries(Object.keys(REFERRAL_COMMISSION_SOURCES).map(source => [source, rates[source] || 0]))),
+  seasonPrizeMetric: AFFILIATE_SEASON_METRICS[data.seasonPrizeMetric] ? data.seasonPrizeMetric : DEFAULT_REFERRAL_CONFIG.seasonPrizeMetric,
+});
+
+// --- Affiliate seasons ---
+// Each calendar month (UTC) is a season. Standings count direct referrals and commission earned
+// during the season, one document per affiliate shown under their pseudonym. The backend records
+// them and pays each season's prizes shortly after it ends.
+const AFFILIATE_LEADERBOARD_SIZE = 10;
+const AFFILIATE_SEASON_HISTORY = 6; // Seasons listed in the leaderboard's season picker
+const AFFILIATE_SEASON_METRICS = {
+  referrals: 'Referrals',
+  earnings: 'Earnings',
+};
+
+const affiliateSeasonsRef = collection(db, `artifacts/${appId}/public/data/affiliate_seasons`);
+const getAffiliateSeasonDocRef = (seasonId) => doc(affiliateSeasonsRef, seasonId);
+const getAffiliateSeasonStandingsRef = (seasonId) => collection(db, `artifacts/${appId}/public/data/affiliate_seasons/${seasonId}/standings`);
+
+const getAffiliateSeasonId = (time) => {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+const getAffiliateSeasonEndTime = (seasonId) => {
+  const [year, month] = seasonId.split('-').map(Number);
+  return Date.UTC(year, month, 1); // Months are 0-based, so this is the first of the next month
+};
+
+// The season `offset` seasons before `seasonId`
+const getEarlierAffiliateSeasonId = (seasonId, offset = 1) => {
+  const [year, month] = seasonId.split('-').map(Number);
+  return getAffiliateSeasonId(Date.UTC(year, month - 1 - offset, 1));
+};
+
+class ReferralError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ReferralError';
+    this.code = code;
+  }
+}
+
+const normaliseReferralCode = (code) => (code || '').trim().toUpperCase();
+
+// Vanity codes are checked here first so typos don't need a round trip, and again by the backend
+const VANITY_CODE_PATTERN = /^[A-Z0-9]{4,16}$/;
+const RESERVED_REFERRAL_WORDS = ['ADMIN', 'SUPPORT', 'OFFICIAL', 'MODERATOR', 'STAFF', 'TEAM', 'DINOSUR', 'AIRDROP', 'GIVEAWAY', 'REFUND'];
+
+// Explains why `code` can't be a vanity code, or returns null if it can
+const validateVanityReferralCode = (code) => {
+  if (!VANITY_CODE_PATTERN.test(code)) {
+    return "Vanity codes must be 4 to 16 letters and numbers.";
+  }
+  const reservedWord = RESERVED_REFERRAL_WORDS.find(word => code.includes(word));
+  if (reservedWord) {
+    return `Vanity codes can't contain the reserved word ${reservedWord}.`;
+  }
+  return null;
+};
+
+// Gives the player a random referral code from the backend's registry, or returns the one they
+// already have. Resolves to { code }.
+const allocateReferralCode = () => callBackend('allocateReferralCode');
+
+// Registers a custom code for the player. Each player gets one, and it can't be changed later.
+// Resolves to { code }.
+const claimVanityReferralCode = async (requestedCode) => {
+  const code = normaliseReferralCode(requestedCode);
+  const validationError = validateVanityReferralCode(code);
+  if (validationError) {
+    throw new ReferralError(validationError, 'invalid-vanity-code');
+  }
+  return callBackend('claimVanityReferralCode', { code });
+};
+
+// Moves the player's referral commission into their $eDINOSUR balance. Resolves to { claimed }.
+const claimReferralEarnings = () => callBackend('claimReferralEarnings');
+
+// Keeps the first referral code seen on this device until it has been bound
+const captureReferralCode = () => {
+  const code = normaliseReferralCode(new URLSearchParams(window.location.search).get('ref'));
+  if (!code) return;
+  try {
+    if (!window.localStorage.getItem(REFERRAL_STORAGE_KEY)) {
+      window.localStorage.setItem(REFERRAL_STORAGE_KEY, code);
+    }
+  } catch (error) {
+    console.error("Error saving referral code:", error);
+  }
+};
+
+// The pending code, if it's waiting to be bound to `userId`
+const readPendingReferralCode = (userId) => {
+  try {
+    const code = window.localStorage.getItem(REFERRAL_STORAGE_KEY);
+    return code && window.localStorage.getItem(REFERRAL_ACCOUNT_STORAGE_KEY) === userId ? code : null;
+  } catch (error) {
+    console.error("Error reading referral code:", error);
+    return null;
+  }
+};
+
+const clearPendingReferralCode = () => {
+  try {
+    window.localStorage.removeItem(REFERRAL_STORAGE_KEY);
+    window.localStorage.removeItem(REFERRAL_ACCOUNT_STORAGE_KEY);
+  } catch (error) {
+    console.error("Error clearing referral code:", error);
+  }
+};
+
+// Decides after a sign-in whether the pending code applies: it's kept for an account created by
+// that sign-in, and dropped when an existing account signed in before any new one claimed it
+const assignPendingReferralCode = (credential) => {
+  const additionalUserInfo = getAdditionalUserInfo(credential);
+  try {
+    if (!window.localStorage.getItem(REFERRAL_STORAGE_KEY) || window.localStorage.getItem(REFERRAL_ACCOUNT_STORAGE_KEY)) return;
+    if (additionalUserInfo && additionalUserInfo.isNewUser) {
+      window.localStorage.setItem(REFERRAL_ACCOUNT_STORAGE_KEY, credential.user.uid);
+    } else {
+      clearPendingReferralCode();
+    }
+  } catch (error) {
+    console.error("Error saving referral code:", error);
+  }
+};
+
+// Binds the code waiting for `userId`, if any. A rejected code won't become valid by retrying,
+// so it's dropped; after any other failure it's kept and tried again on the next visit.
+const bindPendingReferral = async (userId) => {
+  const code = readPendingReferralCode(userId);
+  if (!code) return null;
+  try {
+    await callBackend('bindReferral', { code });
+  } catch (error) {
+    if (error instanceof ReferralError) clearPendingReferralCode();
+    throw error;
+  }
+  clearPendingReferralCode();
+  return code;
+};
+
+// Public top-affiliate rankings for the current and recent seasons
+const AffiliateLeaderboard = ({ userId, config }) => {
+  const currentSeasonId = getAffiliateSeasonId(Date.now());
+  const [seasonId, setSeasonId] = useState(currentSeasonId);
+  const [metric, setMetric] = useState('referrals');
+  const [standings, setStandings] = useState([]);
+  const [season, setSeason] = useState(null);
+
+  useEffect(() => {
+    const standingsQuery = query(getAffiliateSeasonStandingsRef(seasonId), orderBy(metric, 'desc'), limit(AFFILIATE_LEADERBOARD_SIZE));
+    const unsubscribeStandings = onSnapshot(standingsQuery, (snapshot) => {
+      setStandings(snapshot.docs.map(standingDoc => ({ id: standingDoc.id, ...standingDoc.data() })));
+    }, (error) => console.error("Error fetching affiliate leaderboard:", error));
+    const unsubscribeSeason = onSnapshot(getAffiliateSeasonDocRef(seasonId), (docSnap) => {
+      setSeason(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => console.error("Error fetching affiliate season:", error));
+
+    return () => {
+      unsubscribeStandings();
+      unsubscribeSeason();
+    };
+  }, [seasonId, metric]);
+
+  const seasonIds = Array.from({ length: AFFILIATE_SEASON_HISTORY }, (_, offset) => getEarlierAffiliateSeasonId(currentSeasonId, offset));
+  const seasonClosed = season && season.status === 'closed';
+
+  return (
+    <div className="bg-gray-700 rounded-xl p-6 shadow-lg mt-8 sm:mt-10">
+      <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Affiliate Leaderboard</h3>
+      <div className="flex flex-col sm:flex-row justify-center items-center gap-3 mb-4">
+        <select
+          value={seasonId}
+          onChange={(e) => setSeasonId(e.target.value)}
+          className="p-2 rounded-lg bg-gray-900 text-white border border-gray-600"
+        >
+          {seasonIds.map(id => (
+            <option key={id} value={id}>Season {id}{id === currentSeasonId ? ' (current)' : ''}</option>
+          ))}
+        </select>
+        <div className="flex gap-2">
+          {Object.entries(AFFILIATE_SEASON_METRICS).map(([key, label]) => (
+            <button
+              key={key}
+              className={`py-2 px-4 rounded-full text-sm sm:text-base font-semibold ${metric === key ? 'bg-green-600 text-white' : 'bg-gray-600 hover:bg-gray-500 text-gray-200'}`}
+              onClick={() => setMetric(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-sm sm:text-base text-gray-300 mb-4">
+        {seasonId === currentSeasonId
+          ? `This season ends ${new Date(getAffiliateSeasonEndTime(seasonId)).toLocaleString()}. `
+          : seasonClosed ? `This season closed ${new Date(season.closedAt).toLocaleDateString()}. ` : 'This season has ended and is waiting to be settled. '}
+        The top {config.seasonPrizes.length} by {AFFILIATE_SEASON_METRICS[config.seasonPrizeMetric].toLowerCase()} win {config.seasonPrizes.map(prize => prize.toLocaleString()).join(' / ')} $eDINOSUR, paid automatically when the season closes.
+      </p>
+      {standings.length === 0 ? (
+        <p className="text-gray-400">No affiliate activity this season yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm sm:text-base text-left">
+            <thead>
+              <tr className="text-gray-400 border-b border-gray-600">
+                <th className="py-2 pr-3">Rank</th>
+                <th className="py-2 pr-3">Affiliate</th>
+                <th className="py-2 pr-3">Referrals</th>
+                <th className="py-2">Earnings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {standings.map((standing, index) => (
+                <tr key={standing.id} className={`border-b border-gray-600 ${standing.id === userId ? 'text-yellow-300 font-semibold' : 'text-gray-300'}`}>
+                  <td className="py-2 pr-3">{index + 1}</td>
+                  <td className="py-2 pr-3 font-mono">{standing.actor}{standing.id === userId ? ' (you)' : ''}</td>
+                  <td className="py-2 pr-3 font-mono">{standing.referrals || 0}</td>
+                  <td className="py-2 font-mono">{(standing.earnings || 0).toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {seasonClosed && (
+        <div className="mt-4 text-left">
+          <h4 className="text-xl font-bold text-yellow-300 mb-2">Season Prizes</h4>
+          {season.winners.length === 0 ? (
+            <p className="text-gray-400 text-sm">Nobody qualified for a prize this season.</p>
+          ) : (
+            <ul className="text-sm sm:text-base text-gray-300 space-y-1">
+              {season.winners.map(winner => (
+                <li key={winner.rank}>#{winner.rank} <span className="font-mono">{winner.actor}</span> won <span className="text-yellow-400">{winner.prize.toLocaleString()} $eDINOSUR</span></li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Renders `actor`'s referees and, beneath each, their own referees
+const ReferralTreeNode = ({ actor, refereesByParent }) => {
+  const children = refereesByParent[actor] || [];
+  if (children.length === 0) return null;
+  return (
+    <ul className="ml-4 sm:ml-6 border-l border-gray-600 pl-3 space-y-1">
+      {children.map(referee => (
+        <li key={referee.id}>
+          <span className="font-mono text-gray-200">{referee.actor}</span>
+          <span className="text-gray-400"> · level {referee.level} · </span>
+          <span className="font-mono text-yellow-400">{(referee.totalCommission || 0).toFixed(2)} $eDINOSUR</span>
+          <ReferralTreeNode actor={referee.actor} refereesByParent={refereesByParent} />
+        </li>
+      ))}
+    </ul>
+  );
+};
+
 const AffiliatePagesSection = ({ userId, setModalMessage }) => {
   const [referralCode, setReferralCode] = useState('');
-  const [referralLink, setReferralLink] = useState('');
+  const [vanityCode, setVanityCode] = useState(null);
+  const [vanityCodeInput, setVanityCodeInput] = useState('');
   const [referralCount, setReferralCount] = useState(0);
   const [referralEarnings, setReferralEarnings] = useState(0); // This now represents $eDINOSUR earnings
   const [loadingAffiliateData, setLoadingAffiliateData] = useState(true);
+  const [referredByCode, setReferredByCode] = useState(null);
+  const [referees, setReferees] = useState([]);
+  const [downlineCounts, setDownlineCounts] = useState({});
+  const [levelEarnings, setLevelEarnings] = useState({});
+  const [referralConfig, setReferralConfig] = useState(readReferralConfig());
 
-  const affiliateDocRef = userId ? doc(db, `artifacts/${appId}/users/${userId}/data/affiliate`) : null;
+  const affiliateDocRef = useMemo(() => (userId ? getAffiliateDocRef(userId) : null), [userId]);
+
+  // Give the player a referral code on their first visit; later calls return the same code
+  useEffect(() => {
+    if (!userId) return;
+    allocateReferralCode().catch((error) => {
+      console.error("Error allocating referral code:", error);
+      setModalMessage(error instanceof ReferralError ? error.message : `Failed to create your referral code: ${error.message}`);
+    });
+  }, [userId, setModalMessage]);
 
-  // Generate referral code and link, and load affiliate data from Firestore
+  // Load affiliate data from Firestore
   useEffect(() => {
     if (!userId || !affiliateDocRef) {
       setLoadingAffiliateData(false);
       return;
     }
 
-    // Generate a simple referral code based on userId
-    const generatedCode = userId.substring(0, 8).toUpperCase(); // First 8 chars of UID
-    setReferralCode(generatedCode);
-    setReferralLink(`${window.location.origin}/?ref=${generatedCode}`); // Example link
-
     const unsubscribe = onSnapshot(affiliateDocRef, (docSnap) => {
       if (docSnap.exists()) {
         const data = docSnap.data();
+        setReferralCode(data.referralCode || '');
+        setVanityCode(data.vanityCode || null);
         setReferralCount(data.referralCount || 0);
         setReferralEarnings(data.referralEarnings || 0);
+        setDownlineCounts(data.downlineCounts || {});
+        setLevelEarnings(data.levelEarnings || {});
       } else {
-        // Initialize if document doesn't exist
+        // Created by the backend with the first referral
         setReferralCount(0);
         setReferralEarnings(0);
-        // Optionally, create the document with initial values
-        setDoc(affiliateDocRef, { referralCount: 0, referralEarnings: 0 }, { merge: true }).catch(e => console.error("Error initializing affiliate data:", e));
       }
       setLoadingAffiliateData(false);
     }, (error) => {
@@ -1588,30 +4436,54 @@ const AffiliatePagesSection = ({ userId, setModalMessage }) => {
     return () => unsubscribe();
   }, [userId, affiliateDocRef, setModalMessage]);
 
-  // Simulate referral earnings over time (for demonstration)
+  // Who referred this user, if anyone
   useEffect(() => {
-    if (!userId || loadingAffiliateData) return;
+    if (!userId) return;
 
-    // Simulate earnings based on referral count
-    const earningRatePerReferralPerSecond = 75000 / (24 * 60 * 60); // 75,000 $eDINOSUR per referral per day
+    const unsubscribe = onSnapshot(getReferralDocRef(userId), (docSnap) => {
+      setReferredByCode(docSnap.exists() ? docSnap.data().code : null);
+    }, (error) => console.error("Error fetching referral binding:", error));
 
-    const interval = setInterval(() => {
-      setReferralEarnings(prev => prev + (referralCount * earningRatePerReferralPerSecond));
-    }, 1000); // Update every second
+    return () => unsubscribe();
+  }, [userId]);
 
-    return () => clearInterval(interval);
-  }, [userId, loadingAffiliateData, referralCount]); // Recalculate if referralCount changes
+  // Commission earned from each referee
+  useEffect(() => {
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(getAffiliateRefereesRef(userId), (snapshot) => {
+      setReferees(snapshot.docs
+        .map(refereeDoc => ({ id: refereeDoc.id, ...refereeDoc.data() }))
+        .sort((a, b) => (b.totalCommission || 0) - (a.totalCommission || 0)));
+    }, (error) => console.error("Error fetching referees:", error));
+
+    return () => unsubscribe();
+  }, [userId]);
 
-  const updateFirestoreAffiliateData = async (updatedCount, updatedEarnings) => {
-    if (!affiliateDocRef) {
-      setModalMessage("Please connect your wallet to save affiliate data.");
+  useEffect(() => {
+    const unsubscribe = onSnapshot(referralConfigDocRef, (docSnap) => {
+      setReferralConfig(readReferralConfig(docSnap.exists() ? docSnap.data() : {}));
+    }, (error) => console.error("Error fetching referral config:", error));
+
+    return () => unsubscribe();
+  }, []);
+
+  // A vanity code, once claimed, is the one to share
+  const shareCode = vanityCode || referralCode;
+  const referralLink = shareCode ? `${window.location.origin}/?ref=${shareCode}` : '';
+
+  const handleClaimVanityCode = async () => {
+    if (!userId) {
+      setModalMessage("Please connect your wallet to claim a vanity code.");
       return;
     }
     try {
-      await setDoc(affiliateDocRef, { referralCount: updatedCount, referralEarnings: updatedEarnings }, { merge: true });
+      const { code } = await claimVanityReferralCode(vanityCodeInput);
+      setVanityCodeInput('');
+      setModalMessage(`${code} is now your referral code. Your previous code keeps working too.`);
     } catch (error) {
-      console.error("Error updating affiliate data:", error);
-      setModalMessage(`Failed to update affiliate data: ${error.message}`);
+      console.error("Error claiming vanity code:", error);
+      setModalMessage(error instanceof ReferralError ? error.message : `Failed to claim vanity code: ${error.message}`);
     }
   };
 
@@ -1630,33 +4502,26 @@ const AffiliatePagesSection = ({ userId, setModalMessage }) => {
 
   const handleClaimReferralEarnings = async () => {
     if (referralEarnings > 0) {
-      setModalMessage(`Claimed ${referralEarnings.toFixed(2)} $eDINOSUR from referrals! This will be claimable as $DINOSUR at TGE.`);
-      // In a real DApp, this would add to the user's eDINOSUR balance
-      // For simulation, we'll reset affiliate earnings and add to user's eDINOSUR (staking) balance
       try {
-        const userStakingDoc = doc(db, `artifacts/${appId}/users/${userId}/data/staking`);
-        const docSnap = await getDoc(userStakingDoc);
-        const currentEDinosur = docSnap.exists() ? docSnap.data().earned || 0 : 0;
-        await updateDoc(userStakingDoc, { earned: currentEDinosur + referralEarnings }); // Add to eDINOSUR balance
-        setReferralEarnings(0); // Reset affiliate earnings
-        await updateFirestoreAffiliateData(referralCount, 0); // Update Firestore for affiliate earnings
+        // The backend claims whatever has been credited by the time it runs
+        const { claimed } = await claimReferralEarnings();
+        setModalMessage(`Claimed ${claimed.toFixed(2)} $eDINOSUR from referrals! This will be claimable as $DINOSUR at TGE.`);
       } catch (error) {
         console.error("Error claiming referral earnings:", error);
-        setModalMessage(`Failed to claim referral earnings: ${error.message}`);
+        setModalMessage(error instanceof LedgerError ? error.message : `Failed to claim referral earnings: ${error.message}`);
       }
     } else {
       setModalMessage("No referral earnings to claim yet!");
     }
   };
 
-  // For demonstration: simulate a new referral
-  const simulateNewReferral = () => {
-    const newCount = referralCount + 1;
-    setReferralCount(newCount);
-    updateFirestoreAffiliateData(newCount, referralEarnings);
-    setModalMessage("Simulated: A new referral joined!");
-  };
 
+  // Level-one referees hang off this user; deeper ones off whoever referred them
+  const userActor = userId ? pseudonymiseUserId(userId) : null;
+  const refereesByParent = referees.reduce((groups, referee) => {
+    const parentActor = (referee.level || 1) === 1 ? userActor : referee.parentActor;
+    return { ...groups, [parentActor]: [...(groups[parentActor] || []), referee] };
+  }, {});
 
   if (loadingAffiliateData) {
     return (
@@ -1682,7 +4547,7 @@ const AffiliatePagesSection = ({ userId, setModalMessage }) => {
               <li><span className="font-semibold">Sign Up:</span> Easily join the affiliate program through your DApp profile.</li>
               <li><span className="font-semibold">Get Your Link:</span> Receive a unique referral link instantly. This link tracks all users who sign up through your invitation.</li>
               <li><span className="font-semibold">Share & Promote:</span> Share your link across your social media, communities, and networks.</li>
-              <li><span className="font-semibold">Earn Rewards:</span> You will earn a generous 75,000 $eDINOSUR for every new user who successfully joins and participates in the DApp through your unique referral link!</li>
+              <li><span className="font-semibold">Earn Rewards:</span> You earn a commission in $eDINOSUR on what the users you refer spend, and on what the users they refer spend, down to {referralConfig.commissionLevels.length} level{referralConfig.commissionLevels.length === 1 ? '' : 's'}. See the rates per level below.</li>
               <li><span className="font-semibold">Track Performance:</span> Monitor your referrals and earnings in real-time on your personalized dashboard.</li>
             </ul>
           </div>
@@ -1710,7 +4575,31 @@ const AffiliatePagesSection = ({ userId, setModalMessage }) => {
               Copy Link
             </button>
           </div>
-          <p className="text-base sm:text-lg text-gray-300">Your Referral Code: <span className="font-mono text-yellow-400">{referralCode}</span></p>
+          <p className="text-base sm:text-lg text-gray-300">Your Referral Code: <span className="font-mono text-yellow-400">{shareCode || 'Creating...'}</span></p>
+          {vanityCode ? (
+            <p className="text-sm sm:text-base text-gray-400 mt-2">Links with your original code <span className="font-mono text-yellow-400">{referralCode}</span> still count for you.</p>
+          ) : (
+            <div className="flex flex-col sm:flex-row justify-center items-center gap-3 mt-4">
+              <input
+                type="text"
+                value={vanityCodeInput}
+                onChange={(e) => setVanityCodeInput(e.target.value.toUpperCase())}
+                maxLength={16}
+                className="w-full sm:w-56 p-2 rounded-lg bg-gray-900 text-white border border-gray-600 focus:ring-2 focus:ring-green-500 focus:border-transparent font-mono"
+                placeholder="Custom code"
+              />
+              <button
+                className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-full text-sm sm:text-base shadow-md"
+                onClick={handleClaimVanityCode}
+              >
+                Claim Vanity Code
+              </button>
+            </div>
+          )}
+          {!vanityCode && <p className="text-xs sm:text-sm text-gray-400 mt-2">You can claim one custom code of 4 to 16 letters and numbers. It can't be changed afterwards.</p>}
+          {referredByCode && (
+            <p className="text-sm sm:text-base text-gray-400 mt-2">You joined through referral code <span className="font-mono text-yellow-400">{referredByCode}</span>.</p>
+          )}
         </div>
 
         {/* Referral Monitoring */}
@@ -1719,19 +4608,12 @@ const AffiliatePagesSection = ({ userId, setModalMessage }) => {
             <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Referral Count</h3>
             <p className="text-4xl sm:text-5xl font-extrabold text-yellow-400">{referralCount}</p>
             <p className="text-base sm:text-lg text-gray-300 mt-2">Total users who have joined the Dino Fighter G1 DApp through your unique referral link.</p>
-            {/* For demonstration: a button to simulate new referrals */}
-            <button
-              className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-full text-sm shadow-md mt-4"
-              onClick={simulateNewReferral}
-            >
-              Simulate New Referral
-            </button>
           </div>
 
           <div className="bg-gray-700 rounded-xl p-6 shadow-lg">
             <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Referral Earnings</h3>
             <p className="text-4xl sm:text-5xl font-extrabold text-yellow-400">{referralEarnings.toFixed(2)} $eDINOSUR</p>
-            <p className="text-base sm:text-lg text-gray-300 mt-2">Your accumulated $eDINOSUR from successful referrals. This balance is updated in real-time as your referrals engage with the DApp.</p>
+            <p className="text-base sm:text-lg text-gray-300 mt-2">Your unclaimed $eDINOSUR commission. It's credited every time one of your referrals buys in the sale, buys raffle tickets or buys a staking slot.</p>
             <button
               className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-full text-base sm:text-lg shadow-md mt-4"
               onClick={handleClaimReferralEarnings}
@@ -1741,6 +4623,82 @@ const AffiliatePagesSection = ({ userId, setModalMessage }) => {
           </div>
         </div>
 
+        <AffiliateLeaderboard userId={userId} config={referralConfig} />
+
+        {/* Downline by level */}
+        <div className="bg-gray-700 rounded-xl p-6 shadow-lg mt-8 sm:mt-10">
+          <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Your Downline</h3>
+          <div className="overflow-x-auto mb-6">
+            <table className="w-full text-sm sm:text-base text-left">
+              <thead>
+                <tr className="text-gray-400 border-b border-gray-600">
+                  <th className="py-2 pr-3">Level</th>
+                  {Object.entries(REFERRAL_COMMISSION_SOURCES).map(([source, label]) => (
+                    <th key={source} className="py-2 pr-3">{label}</th>
+                  ))}
+                  <th className="py-2 pr-3">Referrals</th>
+                  <th className="py-2">Earned</th>
+                </tr>
+              </thead>
+              <tbody>
+                {referralConfig.commissionLevels.map((rates, index) => (
+                  <tr key={index} className="border-b border-gray-600 text-gray-300">
+                    <td className="py-2 pr-3">{index + 1}</td>
+                    {Object.keys(REFERRAL_COMMISSION_SOURCES).map(source => (
+                      <td key={source} className="py-2 pr-3 font-mono">{(rates[source] * 100).toFixed(1)}%</td>
+                    ))}
+                    <td className="py-2 pr-3 font-mono">{downlineCounts[index + 1] || 0}</td>
+                    <td className="py-2 font-mono text-yellow-400">{(levelEarnings[index + 1] || 0).toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {referees.length > 0 && (
+            <div className="text-left text-sm sm:text-base">
+              <p className="font-mono text-white">{userActor} (you)</p>
+              <ReferralTreeNode actor={userActor} refereesByParent={refereesByParent} />
+            </div>
+          )}
+        </div>
+
+        {/* Per-referee breakdown */}
+        <div className="bg-gray-700 rounded-xl p-6 shadow-lg mt-8 sm:mt-10">
+          <h3 className="text-2xl sm:text-3xl font-bold text-green-300 mb-4">Commission by Referee</h3>
+          {referees.length === 0 ? (
+            <p className="text-gray-400">Nobody has joined through your link yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm sm:text-base text-left">
+                <thead>
+                  <tr className="text-gray-400 border-b border-gray-600">
+                    <th className="py-2 pr-3">Referee</th>
+                    <th className="py-2 pr-3">Level</th>
+                    <th className="py-2 pr-3">Joined</th>
+                    {Object.entries(REFERRAL_COMMISSION_SOURCES).map(([source, label]) => (
+                      <th key={source} className="py-2 pr-3">{label}</th>
+                    ))}
+                    <th className="py-2">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {referees.map(referee => (
+                    <tr key={referee.id} className="border-b border-gray-600 text-gray-300">
+                      <td className="py-2 pr-3 font-mono">{referee.actor}</td>
+                      <td className="py-2 pr-3">{referee.level || 1}</td>
+                      <td className="py-2 pr-3">{referee.joinedAt ? new Date(referee.joinedAt).toLocaleDateString() : '—'}</td>
+                      {Object.keys(REFERRAL_COMMISSION_SOURCES).map(source => (
+                        <td key={source} className="py-2 pr-3 font-mono">{((referee.commissionBySource || {})[source] || 0).toFixed(2)}</td>
+                      ))}
+                      <td className="py-2 font-mono text-yellow-400">{(referee.totalCommission || 0).toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
         <button className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 sm:py-4 sm:px-8 rounded-full text-base sm:text-xl shadow-lg transform hover:scale-105 transition-transform duration-300 mt-8 sm:mt-10">
           Become an Affiliate
         </button>
@@ -0,0 +1,1500 @@
+// Cloud Functions for the Dino Fighter G1 DApp.
+// Everything the player's own browser must not decide runs here: sale reservations, which are
+// checked against the server clock, sale payments, which are checked on-chain, raffle tickets,
+// slot purchases, secret raffle seeds, reel results, prize settlement, stamp redemption, referral
+// codes, bindings and commission, and affiliate season payouts. The helpers below mirror the ones
+// in App.js and write the same documents, so keep the two in step when either changes.
+
+const crypto = require('crypto');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineString } = require('firebase-functions/params');
+
+initializeApp();
+const db = getFirestore();
+
+// The app ID the client gets as __app_id
+const APP_ID = defineString('APP_ID', { default: 'default-app-id' });
+
+const appDoc = (path) => db.doc(`artifacts/${APP_ID.value()}/${path}`);
+const appCollection = (path) => db.collection(`artifacts/${APP_ID.value()}/${path}`);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30;
+
+// --- $eDINOSUR ledger ---
+
+class LedgerError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+  }
+}
+
+class InsufficientFundsError extends LedgerError {
+  constructor(required, available) {
+    super(`Insufficient $eDINOSUR. You need ${required.toFixed(2)} $eDINOSUR but have ${available.toFixed(2)}.`, 'insufficient-funds');
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+const getUserStakingDocRef = (userId) => appDoc(`users/${userId}/data/staking`);
+const getUserEarningsHistoryRef = (userId) => appCollection(`users/${userId}/data/staking/history`);
+const daoTreasuryDocRef = () => appDoc('public/data/dao_treasury/global_stats');
+
+// Reads a user's balances within `transaction`; call before any transaction writes
+const openLedgerAccount = async (transaction, userId) => {
+  const ref = getUserStakingDocRef(userId);
+  const docSnap = await transaction.get(ref);
+  const data = docSnap.exists ? docSnap.data() : {};
+  return {
+    userId,
+    ref,
+    data,
+    earned: data.earned || 0,
+    readyToBurnEDinosur: data.readyToBurnEDinosur || 0,
+    daoEDinosur: 0, // Collected during this transaction, added to the DAO treasury on commit
+    historyEntries: [], // Written to the earnings history on commit
+  };
+};
+
+const ledgerCredit = (account, amount, reason) => {
+  if (!(amount >= 0)) {
+    throw new LedgerError(`Invalid credit amount: ${amount}`, 'invalid-amount');
+  }
+  account.earned += amount;
+  account.historyEntries.push({ type: 'credit', reason, amount });
+};
+
+// Debits `amount`, sending `burnShare` of it to the burn queue and `daoShare` to the DAO treasury
+const ledgerDebit = (account, amount, reason, { burnShare = 0, daoShare = 0 } = {}) => {
+  if (!(amount > 0)) {
+    throw new LedgerError(`Invalid debit amount: ${amount}`, 'invalid-amount');
+  }
+  if (account.earned < amount) {
+    throw new InsufficientFundsError(amount, account.earned);
+  }
+  const burnAmount = amount * burnShare;
+  const daoAmount = amount * daoShare;
+  account.earned -= amount;
+  account.readyToBurnEDinosur += burnAmount;
+  account.daoEDinosur += daoAmount;
+  account.historyEntries.push({ type: 'debit', reason, amount, burnAmount, daoAmount });
+  return { burnAmount, daoAmount };
+};
+
+// Same running totals as buildEarningsTotalsUpdate in App.js
+const EARNINGS_TOTAL_FIELDS = { accrual: 'accrued', credit: 'credited', debit: 'spent' };
+
+const getEarningsPeriodKey = (timestamp, period) => {
+  const date = new Date(timestamp);
+  if (period === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+const buildEarningsTotalsUpdate = (entries, createdAt) => {
+  const sums = { day: {}, week: {} };
+  const add = (group, key, field, amount) => {
+    group[key] = { ...group[key], [field]: ((group[key] || {})[field] || 0) + amount };
+  };
+  entries.forEach(entry => {
+    const field = EARNINGS_TOTAL_FIELDS[entry.type];
+    if (!field) return;
+    add(sums.day, getEarningsPeriodKey(createdAt, 'day'), field, entry.amount);
+    add(sums.week, getEarningsPeriodKey(createdAt, 'week'), field, entry.amount);
+  });
+  const toIncrements = (group) => Object.fromEntries(Object.entries(group).map(([key, values]) => [
+    key,
+    Object.fromEntries(Object.entries(values).map(([field, value]) => [field, FieldValue.increment(value)])),
+  ]));
+  return { day: toIncrements(sums.day), week: toIncrements(sums.week) };
+};
+
+// Writes the account's balances along with any other staking-document `fields`
+const commitLedgerAccount = (transaction, account, fields = {}) => {
+  const committedAt = Date.now();
+  transaction.set(account.ref, {
+    ...fields,
+    earned: account.earned,
+    readyToBurnEDinosur: account.readyToBurnEDinosur,
+    ...(account.historyEntries.length > 0 ? {
+      earningsTotals: buildEarningsTotalsUpdate(account.historyEntries, committedAt),
+      earningsTotalsStartedAt: account.data.earningsTotalsStartedAt || committedAt,
+    } : {}),
+  }, { merge: true });
+  if (account.daoEDinosur > 0) {
+    transaction.set(daoTreasuryDocRef(), { totalEDinosur: FieldValue.increment(account.daoEDinosur) }, { merge: true });
+  }
+  account.historyEntries.forEach(entry => {
+    transaction.set(getUserEarningsHistoryRef(account.userId).doc(), { ...entry, createdAt: committedAt });
+  });
+};
+
+// --- Public event stream ---
+
+// FNV-1a over the app-salted user ID, the same pseudonym App.js shows
+const pseudonymiseUserId = (userId) => {
+  let hash = 0x811c9dc5;
+  for (const char of `${APP_ID.value()}:${userId}`) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `Dino-${hash.toString(16).padStart(8, '0').toUpperCase()}`;
+};
+
+const recordPublicEvent = (transaction, userId, type, details = {}) => {
+  transaction.set(appCollection('public/data/events').doc(), { type, actor: pseudonymiseUserId(userId), ...details, createdAt: Date.now() });
+};
+
+// --- Dino Fighter G1 NFT collection ---
+
+const NFT_TIERS = {
+  Common: { supply: 1000, dailyEarning: 5000 },
+  Rare: { supply: 600, dailyEarning: 10000 },
+  Unique: { supply: 400, dailyEarning: 15000 },
+  King: { supply: 500, dailyEarning: 25000 },
+  Legend: { supply: 160, dailyEarning: 50000 },
+};
+const NFT_TIER_ORDER = ['Common', 'Rare', 'Unique', 'King', 'Legend'];
+const KING_ELEMENTS = ['Fire', 'Water', 'Ice'];
+
+const STARTING_SLOT_COUNT = 3;
+
+// Same slot price as calculateAddSlotCost in App.js; half of it is burnt and half goes to the DAO
+const BASE_ADD_SLOT_EDINOSUR_COST = 200000;
+const ADD_SLOT_BURN_SHARE = 0.5;
+
+const calculateAddSlotCost = (currentSlotCount) => (currentSlotCount >= 4
+  ? BASE_ADD_SLOT_EDINOSUR_COST * Math.pow(1.5, currentSlotCount - 3)
+  : BASE_ADD_SLOT_EDINOSUR_COST);
+
+const nftSupplyDocRef = () => appDoc('public/data/nft_supply/global_stats');
+
+const getFirstTokenId = (tier) => NFT_TIER_ORDER
+  .slice(0, NFT_TIER_ORDER.indexOf(tier))
+  .reduce((sum, lowerTier) => sum + NFT_TIERS[lowerTier].supply, 1);
+
+const openNFTSupply = async (transaction) => {
+  const supplySnap = await transaction.get(nftSupplyDocRef());
+  return { minted: { ...(supplySnap.exists ? supplySnap.data().minted : {}) } };
+};
+
+const isNFTSupplyAvailable = (supply, tier) => (supply.minted[tier] || 0) < NFT_TIERS[tier].supply;
+
+// Allocates the next token id of `tier`; check isNFTSupplyAvailable first
+const mintNFT = (supply, tier, origin, now) => {
+  const mintedCount = supply.minted[tier] || 0;
+  supply.minted[tier] = mintedCount + 1;
+  const id = getFirstTokenId(tier) + mintedCount;
+  return {
+    id,
+    tier,
+    element: tier === 'King' ? KING_ELEMENTS[id % KING_ELEMENTS.length] : null,
+    dailyEarning: NFT_TIERS[tier].dailyEarning,
+    origin,
+    acquiredAt: now,
+  };
+};
+
+const commitNFTSupply = (transaction, supply) => {
+  transaction.set(nftSupplyDocRef(), { minted: supply.minted }, { merge: true });
+};
+
+// Inventory and slots of a staking document, as readStakingState in App.js reads them. Documents
+// from before the inventory are migrated by the client, so they can't take new NFTs until then.
+const readStakingInventory = (data = {}) => {
+  if (data.slots) return { inventory: data.inventory || [], slots: data.slots };
+  if (data.nfts) {
+    throw new LedgerError("Your NFTs are still being upgraded. Please try again in a moment.", 'staking-not-migrated');
+  }
+  return {
+    inventory: [],
+    slots: Array.from({ length: STARTING_SLOT_COUNT }, (_, index) => ({ id: index + 1, nftId: null, stakedAt: 0, lastSettledTime: 0 })),
+  };
+};
+
+// --- $eDINOSUR public sale ---
+// Reservations are made here so the epoch, its price and the buyer's access window are decided
+// by the server clock rather than the buyer's.
+
+const getUserSalePurchaseDocRef = (userId) => appDoc(`users/${userId}/data/eDinoSalePurchases`);
+const saleConfigDocRef = () => appDoc('public/data/eDinoSale/config');
+const saleStateDocRef = () => appDoc('public/data/eDinoSale/state');
+const getSaleAllowlistDocRef = (userId) => appDoc(`public/data/eDinoSaleAllowlist/${userId}`);
+const getSalePaymentDocRef = (txHash) => appDoc(`public/data/eDinoSalePayments/${txHash.toLowerCase()}`);
+
+// The client's copy also carries the payment token and native token symbols it shows
+const DEFAULT_SALE_CONFIG = {
+  saleStartTime: null,
+  epochDurationDays: 7,
+  initialPrice: 0.00005,
+  priceIncreaseFactor: 1.10,
+  saleTotalTokens: 5_000_000_000,
+  maxEpochAllocationPercentage: 0.05,
+  accessTiers: [
+    { id: 'allowlist', label: 'Allowlist', allowlist: true, opensAfterHours: 0, maxEpochPurchaseUSD: 500, maxWalletPurchaseUSD: 2000 },
+    { id: 'nft-holder', label: 'King & Legend Holders', nftTiers: ['King', 'Legend'], opensAfterHours: 24, maxEpochPurchaseUSD: 400, maxWalletPurchaseUSD: 1500 },
+    { id: 'public', label: 'Public', opensAfterHours: 48, maxEpochPurchaseUSD: 250, maxWalletPurchaseUSD: 1000 },
+  ],
+  // Payments are checked against these, never against what the buyer's wallet reported
+  paymentChainId: 31337,
+  paymentReceiver: null,
+  paymentToken: null, // ERC-20 stablecoin address, or null for the native token
+  paymentTokenDecimals: 6,
+  nativeTokenPriceUSD: null,
+  paymentConfirmations: 1,
+};
+
+const SALE_RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+const readSaleConfig = (data = {}) => {
+  const { maxEpochPurchaseUSD, maxWalletPurchaseUSD, ...fields } = data;
+  const config = { ...DEFAULT_SALE_CONFIG, ...fields };
+  if (!fields.accessTiers && (maxEpochPurchaseUSD !== undefined || maxWalletPurchaseUSD !== undefined)) {
+    config.accessTiers = DEFAULT_SALE_CONFIG.accessTiers.map(accessTier => (accessTier.id === 'public' ? {
+      ...accessTier,
+      maxEpochPurchaseUSD: maxEpochPurchaseUSD ?? accessTier.maxEpochPurchaseUSD,
+      maxWalletPurchaseUSD: maxWalletPurchaseUSD ?? accessTier.maxWalletPurchaseUSD,
+    } : accessTier));
+  }
+  return config;
+};
+
+const getSaleEpochStartTime = (config, epoch) => config.saleStartTime + epoch * config.epochDurationDays * MS_PER_DAY;
+
+const getSaleEpochAt = (config, now) => {
+  if (config.saleStartTime === null || now < config.saleStartTime) return -1;
+  return Math.floor((now - config.saleStartTime) / (config.epochDurationDays * MS_PER_DAY));
+};
+
+const getSaleEpochPrice = (config, epoch) => config.initialPrice * Math.pow(config.priceIncreaseFactor, epoch);
+
+const getSaleEpochAllocationTokens = (config) => config.saleTotalTokens * config.maxEpochAllocationPercentage;
+
+const isEligibleForSaleAccessTier = (accessTier, eligibility) => {
+  if (accessTier.allowlist) return eligibility.allowlisted;
+  if (accessTier.nftTiers) return eligibility.inventory.some(nft => accessTier.nftTiers.includes(nft.tier));
+  return true;
+};
+
+const getSaleAccessTier = (config, eligibility) => config.accessTiers.find(accessTier => isEligibleForSaleAccessTier(accessTier, eligibility)) || null;
+
+const getSaleAccessOpenTime = (config, epoch, accessTier) => getSaleEpochStartTime(config, epoch) + accessTier.opensAfterHours * 60 * 60 * 1000;
+
+class SaleCapExceededError extends LedgerError {
+  constructor(message) {
+    super(message, 'sale-cap-exceeded');
+    this.name = 'SaleCapExceededError';
+  }
+}
+
+const calculateRemainingSaleTokens = (saleState, epoch, epochCapTokens, saleCapTokens) => {
+  const epochSold = (saleState.epochSoldTokens || {})[epoch] || 0;
+  const totalSold = saleState.totalSoldTokens || 0;
+  return Math.max(0, Math.min(epochCapTokens - epochSold, saleCapTokens - totalSold));
+};
+
+// Reads the sale config, shared sale state and the buyer's purchases within `transaction`;
+// call before any transaction writes
+const openSalePurchase = async (transaction, userId) => {
+  const configSnap = await transaction.get(saleConfigDocRef());
+  const saleStateSnap = await transaction.get(saleStateDocRef());
+  const purchaseSnap = await transaction.get(getUserSalePurchaseDocRef(userId));
+  const allowlistSnap = await transaction.get(getSaleAllowlistDocRef(userId));
+  const stakingSnap = await transaction.get(getUserStakingDocRef(userId));
+  return {
+    config: readSaleConfig(configSnap.exists ? configSnap.data() : {}),
+    saleState: saleStateSnap.exists ? saleStateSnap.data() : {},
+    purchaseData: purchaseSnap.exists ? purchaseSnap.data() : {},
+    eligibility: {
+      allowlisted: allowlistSnap.exists,
+      inventory: (stakingSnap.exists && stakingSnap.data().inventory) || [],
+    },
+  };
+};
+
+// Throws if `purchase` ({ epoch, price, tokens, costUSD }) requested at `now` breaks the
+// schedule, the buyer's access window, the shared caps or the wallet limits. Returns the
+// buyer's USD totals before the purchase.
+const validateSalePurchase = ({ config, saleState, purchaseData, eligibility }, purchase, now) => {
+  // The price shown must still be the price of the epoch running now
+  const currentEpoch = getSaleEpochAt(config, now);
+  if (currentEpoch < 0) {
+    throw new LedgerError("The $eDINOSUR sale has not started yet!", 'sale-not-started');
+  }
+  if (currentEpoch !== purchase.epoch || getSaleEpochPrice(config, currentEpoch) !== purchase.price) {
+    throw new LedgerError("The sale schedule has moved on since this page was updated. Please review the current price and try again.", 'sale-schedule-changed');
+  }
+
+  const accessTier = getSaleAccessTier(config, eligibility);
+  if (!accessTier) {
+    throw new LedgerError("This sale is currently limited to allowlisted wallets and NFT holders.", 'sale-not-eligible');
+  }
+  const accessOpenTime = getSaleAccessOpenTime(config, purchase.epoch, accessTier);
+  if (now < accessOpenTime) {
+    throw new LedgerError(`The ${accessTier.label} window for epoch ${purchase.epoch} opens at ${new Date(accessOpenTime).toISOString()}.`, 'sale-window-not-open');
+  }
+
+  const remainingTokens = calculateRemainingSaleTokens(saleState, purchase.epoch, getSaleEpochAllocationTokens(config), config.saleTotalTokens);
+  if (remainingTokens <= 0) {
+    throw new SaleCapExceededError(`Epoch ${purchase.epoch} is sold out. Please wait for the next epoch.`);
+  }
+  if (purchase.tokens > remainingTokens) {
+    throw new SaleCapExceededError(`Only ${Math.floor(remainingTokens).toLocaleString()} $eDINOSUR are left in epoch ${purchase.epoch}. Please lower your amount.`);
+  }
+
+  const totalPurchasedUSD = purchaseData.totalPurchasedUSD || 0;
+  const purchasedUSDInEpoch = purchaseData.lastPurchaseEpoch === purchase.epoch ? (purchaseData.userPurchasedUSDInCurrentEpoch || 0) : 0;
+  if (totalPurchasedUSD + purchase.costUSD > accessTier.maxWalletPurchaseUSD) { // Overall wallet limit
+    throw new SaleCapExceededError(`${accessTier.label} wallets can only buy a maximum of $${accessTier.maxWalletPurchaseUSD} worth of $eDINOSUR. You have already purchased $${totalPurchasedUSD.toFixed(2)} and this purchase would exceed the limit.`);
+  }
+  if (purchasedUSDInEpoch + purchase.costUSD > accessTier.maxEpochPurchaseUSD) { // Per epoch limit
+    throw new SaleCapExceededError(`${accessTier.label} wallets can only buy a maximum of $${accessTier.maxEpochPurchaseUSD} worth of $eDINOSUR per epoch. You have already purchased $${purchasedUSDInEpoch.toFixed(2)} in this epoch and this purchase would exceed the limit.`);
+  }
+  return { totalPurchasedUSD, purchasedUSDInEpoch };
+};
+
+// Reads the buyer's pending purchase within `transaction`, or null once it's no longer `pendingPurchaseId`
+const openPendingSalePurchase = async (transaction, userId, pendingPurchaseId) => {
+  const purchaseSnap = await transaction.get(getUserSalePurchaseDocRef(userId));
+  const purchaseData = purchaseSnap.exists ? purchaseSnap.data() : {};
+  const pendingPurchase = purchaseData.pendingPurchase;
+  return pendingPurchase && pendingPurchase.id === pendingPurchaseId ? { purchaseData, pendingPurchase } : null;
+};
+
+// The payment fields a reservation keeps, as the buyer's wallet reported them
+const readSalePayment = (payment = {}) => {
+  if (typeof payment.txHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(payment.txHash)) {
+    throw new LedgerError("Invalid payment transaction hash.", 'invalid-payment');
+  }
+  return {
+    txHash: payment.txHash,
+    payer: String(payment.payer || '').toLowerCase(),
+    chainId: Number(payment.chainId),
+    paymentToken: String(payment.paymentToken || ''),
+    paymentTokenAddress: payment.paymentTokenAddress || null,
+    paymentReceiver: String(payment.paymentReceiver || ''),
+    paymentAmount: String(payment.paymentAmount || '0'),
+  };
+};
+
+// JSON-RPC endpoint of the payment chain. A payment is only settled once it's confirmed there.
+const SALE_RPC_URL = defineString('SALE_RPC_URL', { default: 'http://127.0.0.1:8545' });
+const ERC20_TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'; // Transfer(address,address,uint256)
+
+const padHexWord = (hex) => hex.replace(/^0x/, '').toLowerCase().padStart(64, '0');
+
+// Same rounding as toBaseUnits in App.js, which sets the amount the wallet is asked to pay
+const toBaseUnits = (amount, decimals) => {
+  const [whole, fraction = ''] = amount.toFixed(Math.min(decimals, 20)).split('.');
+  const units = BigInt(whole + fraction.padEnd(decimals, '0'));
+  return amount > Number(`${whole}.${fraction || '0'}`) ? units + 1n : units;
+};
+
+const callSaleRpc = async (method, params) => {
+  const response = await fetch(SALE_RPC_URL.value(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  });
+  const body = await response.json();
+  if (body.error) {
+    throw new Error(`${method} failed: ${body.error.message}`);
+  }
+  return body.result;
+};
+
+// Checks on-chain that `payment` paid for `pendingPurchase` from the payer to the configured
+// receiver, and returns the payment fields as the sale config has them
+const verifySalePayment = async (config, pendingPurchase, payment) => {
+  if (!config.paymentReceiver || payment.chainId !== config.paymentChainId) {
+    throw new LedgerError(`Transaction ${payment.txHash} was not sent on the sale's payment chain.`, 'payment-mismatch');
+  }
+  const receipt = await callSaleRpc('eth_getTransactionReceipt', [payment.txHash]);
+  const latestBlock = receipt ? await callSaleRpc('eth_blockNumber', []) : null;
+  if (!receipt || BigInt(latestBlock) - BigInt(receipt.blockNumber) + 1n < BigInt(config.paymentConfirmations)) {
+    throw new LedgerError(`Transaction ${payment.txHash} is not confirmed yet. It will be checked again the next time you open the sale.`, 'payment-unconfirmed');
+  }
+  if (BigInt(receipt.status) !== 1n) {
+    throw new LedgerError(`Transaction ${payment.txHash} failed on-chain. No purchase was recorded.`, 'payment-reverted');
+  }
+
+  let amount;
+  let paid;
+  if (config.paymentToken) {
+    amount = toBaseUnits(pendingPurchase.costUSD, config.paymentTokenDecimals);
+    paid = receipt.logs
+      .filter((log) => log.address.toLowerCase() === config.paymentToken.toLowerCase()
+        && log.topics[0] === ERC20_TRANSFER_TOPIC
+        && log.topics[1] === `0x${padHexWord(payment.payer)}`
+        && log.topics[2] === `0x${padHexWord(config.paymentReceiver)}`)
+      .reduce((sum, log) => sum + BigInt(log.data), 0n);
+  } else {
+    if (!config.nativeTokenPriceUSD) {
+      throw new LedgerError("Native token payments are not priced yet.", 'payment-mismatch');
+    }
+    amount = toBaseUnits(pendingPurchase.costUSD / config.nativeTokenPriceUSD, 18);
+    const tx = await callSaleRpc('eth_getTransactionByHash', [payment.txHash]);
+    const paysReceiver = tx.from.toLowerCase() === payment.payer && (tx.to || '').toLowerCase() === config.paymentReceiver.toLowerCase();
+    paid = paysReceiver ? BigInt(tx.value) : 0n;
+  }
+  if (paid < amount) {
+    throw new LedgerError(`Transaction ${payment.txHash} did not transfer the sale payment.`, 'payment-mismatch');
+  }
+  return {
+    ...payment,
+    paymentTokenAddress: config.paymentToken,
+    paymentReceiver: config.paymentReceiver,
+    paymentAmount: amount.toString(),
+  };
+};
+
+// --- Provably fair raffle spins ---
+// The server seed is generated here and only its SHA-256 hash is published until the player
+// rotates it. Reels are HMAC-SHA256(serverSeed, "clientSeed:nonce"), as calculateSpinReels in
+// App.js recomputes them for verification.
+
+const RAFFLE_SYMBOLS = ['🦖', '🦕', '🥚', '💎', '💰', '🔥', '🎫'];
+const RAFFLE_SYMBOL_WEIGHTS = { '🥚': 10, '🦕': 8, '🦖': 6, '🔥': 4, '💰': 3, '🎫': 2, '💎': 1 };
+const RAFFLE_REEL_STRIP = RAFFLE_SYMBOLS.flatMap(symbol => Array(RAFFLE_SYMBOL_WEIGHTS[symbol]).fill(symbol));
+const RAFFLE_REEL_STRIPS = [RAFFLE_REEL_STRIP, RAFFLE_REEL_STRIP, RAFFLE_REEL_STRIP];
+// Version of RAFFLE_REEL_STRIPS in RAFFLE_REEL_STRIP_VERSIONS in App.js, recorded on every spin.
+// Add a new version there before changing the strips here.
+const RAFFLE_REEL_STRIP_VERSION = 3;
+
+const RAFFLE_PAYTABLE = [
+  { id: 'legend-nft', symbol: '💎', count: 3, prize: { type: 'nft', tier: 'Legend' }, pool: 80 },
+  { id: 'usdt-1000', symbol: '💰', count: 3, prize: { type: 'usdt', amount: 1000 }, pool: 5 },
+  { id: 'king-nft', symbol: '🔥', count: 3, prize: { type: 'nft', tier: 'King' }, pool: 250 },
+  { id: 'unique-nft', symbol: '🦖', count: 3, prize: { type: 'nft', tier: 'Unique' }, pool: 200 },
+  { id: 'rare-nft', symbol: '🦕', count: 3, prize: { type: 'nft', tier: 'Rare' }, pool: 300 },
+  { id: 'stamps-5', symbol: '🎫', count: 3, prize: { type: 'stamp', amount: 5 } },
+  { id: 'edinosur-125k', symbol: '🥚', count: 3, prize: { type: 'edinosur', amount: 125000 } },
+  { id: 'common-nft', symbol: '💎', count: 2, prize: { type: 'nft', tier: 'Common' }, pool: 500 },
+  { id: 'usdt-3', symbol: '💰', count: 2, prize: { type: 'usdt', amount: 3 } },
+  { id: 'stamp-1', symbol: '🎫', count: 2, prize: { type: 'stamp', amount: 1 } },
+  { id: 'edinosur-100k', symbol: '🔥', count: 2, prize: { type: 'edinosur', amount: 100000 } },
+  { id: 'usdt-1', symbol: '🦖', count: 2, prize: { type: 'usdt', amount: 1 } },
+  { id: 'edinosur-20k', symbol: '🦕', count: 2, prize: { type: 'edinosur', amount: 20000 } },
+  { id: 'edinosur-10k', symbol: '🥚', count: 2, prize: { type: 'edinosur', amount: 10000 } },
+  // Lines of three different symbols, read left to right
+  { id: 'usdt-0.5', line: ['🥚', '🦕', '🦖'], prize: { type: 'usdt', amount: 0.5 } },
+  { id: 'edinosur-30k', line: ['🥚', '🦕', '🔥'], prize: { type: 'edinosur', amount: 30000 } },
+  { id: 'edinosur-40k', line: ['🥚', '🦖', '🔥'], prize: { type: 'edinosur', amount: 40000 } },
+  { id: 'edinosur-50k', line: ['🥚', '🦕', '💰'], prize: { type: 'edinosur', amount: 50000 } },
+  { id: 'edinosur-70k', line: ['🦕', '🦖', '🔥'], prize: { type: 'edinosur', amount: 70000 } },
+  { id: 'edinosur-85k', line: ['🥚', '🦖', '💰'], prize: { type: 'edinosur', amount: 85000 } },
+  { id: 'usdt-5', line: ['🥚', '🦕', '🎫'], prize: { type: 'usdt', amount: 5 } },
+  { id: 'usdt-10', line: ['🦕', '🦖', '💰'], prize: { type: 'usdt', amount: 10 } },
+  { id: 'usdt-15', line: ['🥚', '🔥', '💰'], prize: { type: 'usdt', amount: 15 } },
+  { id: 'edinosur-500k', line: ['🦕', '🔥', '💰'], prize: { type: 'edinosur', amount: 500000 }, pool: 200 },
+  { id: 'usdt-30', line: ['🥚', '🦕', '💎'], prize: { type: 'usdt', amount: 30 }, pool: 200 },
+  { id: 'edinosur-1m', line: ['🦖', '🔥', '💰'], prize: { type: 'edinosur', amount: 1000000 }, pool: 100 },
+  { id: 'usdt-50', line: ['🥚', '🦖', '💎'], prize: { type: 'usdt', amount: 50 }, pool: 100 },
+  { id: 'edinosur-1.5m', line: ['🦕', '💰', '🎫'], prize: { type: 'edinosur', amount: 1500000 }, pool: 75 },
+  { id: 'edinosur-2m', line: ['🔥', '💰', '🎫'], prize: { type: 'edinosur', amount: 2000000 }, pool: 50 },
+  { id: 'usdt-100', line: ['🦕', '💰', '💎'], prize: { type: 'usdt', amount: 100 }, pool: 50 },
+  { id: 'usdt-250', line: ['🦖', '💰', '💎'], prize: { type: 'usdt', amount: 250 }, pool: 20 },
+  { id: 'usdt-500', line: ['🔥', '💰', '💎'], prize: { type: 'usdt', amount: 500 }, pool: 10 },
+];
+
+// Same ticket price and burn share as the Raffle Slot section in App.js
+const RAFFLE_TICKET_COST = 50000;
+const RAFFLE_TICKET_BURN_SHARE = 0.1;
+
+// $DINOSUR Stamps burned to mint one NFT of each tier, as in App.js. Redemption opens at TGE.
+const STAMP_REDEMPTION_COSTS = { King: 10, Legend: 25 };
+
+// $eDINOSUR value of 1 USDT for the "prize above" stop condition, at the opening sale price
+const RAFFLE_EDINOSUR_PER_USDT = 1 / DEFAULT_SALE_CONFIG.initialPrice;
+// Most spins settled in one batch, keeping the transaction well under Firestore's write limit
+const RAFFLE_BATCH_SPIN_LIMIT = 100;
+
+const RAFFLE_NFT_VESTING_MONTHS = 6;
+const RAFFLE_NFT_MONTH_MS = DAYS_PER_MONTH * MS_PER_DAY;
+
+const getUserRaffleDocRef = (userId) => appDoc(`users/${userId}/data/raffle`);
+const getUserRaffleSpinsRef = (userId) => appCollection(`users/${userId}/data/raffle/spins`);
+const getUserRaffleRevealedSeedsRef = (userId) => appCollection(`users/${userId}/data/raffle/seeds`);
+// { serverSeed, serverSeedHash, nonce, committedAt }; only this code ever reads it
+const getRaffleServerSeedDocRef = (userId) => appDoc(`private/data/raffle_seeds/${userId}`);
+const rafflePrizePoolsDocRef = () => appDoc('public/data/raffle/prize_pools');
+// { nftReleaseStartTime }, set by the operator to schedule the six-month NFT release
+const raffleConfigDocRef = () => appDoc('public/data/raffle/config');
+// { tgeTime }, set by the operator
+const tgeConfigDocRef = () => appDoc('public/data/config/tge');
+
+const generateRaffleSeed = () => crypto.randomBytes(32).toString('hex');
+const sha256Hex = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const calculateSpinReels = (serverSeed, clientSeed, nonce, reelStrips = RAFFLE_REEL_STRIPS) => {
+  const digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}`).digest();
+  return reelStrips.map((strip, index) => strip[Math.floor((digest.readUInt32BE(index * 4) / 2 ** 32) * strip.length)]);
+};
+
+const readRafflePrizePools = (poolsData = {}, configData = {}) => ({
+  awarded: poolsData.awarded || {},
+  nftReleaseStartTime: configData.nftReleaseStartTime || null,
+});
+
+// Release month `now` falls in, counting from 0, or -1 before the release has started
+const getRaffleNFTMonth = (pools, now) => (pools.nftReleaseStartTime !== null && now >= pools.nftReleaseStartTime
+  ? Math.floor((now - pools.nftReleaseStartTime) / RAFFLE_NFT_MONTH_MS)
+  : -1);
+
+const getRaffleNFTUnlockTime = (pools, now) => pools.nftReleaseStartTime + (getRaffleNFTMonth(pools, now) + 1) * RAFFLE_NFT_MONTH_MS;
+
+const calculateRaffleNFTMonthlyAvailability = (entry, pools, now) => {
+  const releasedMonths = Math.min(getRaffleNFTMonth(pools, now) + 1, RAFFLE_NFT_VESTING_MONTHS);
+  const releasedSoFar = Math.floor((entry.pool * releasedMonths) / RAFFLE_NFT_VESTING_MONTHS);
+  return Math.max(0, releasedSoFar - (pools.awarded[entry.id] || 0));
+};
+
+// A paytable entry is either a `line` of exact symbols or `count` reels showing `symbol`
+const matchesPaytableEntry = (entry, reels) => (entry.line
+  ? entry.line.every((symbol, index) => reels[index] === symbol)
+  : reels.filter(symbol => symbol === entry.symbol).length === entry.count);
+
+const findPaytableEntry = (reels) => RAFFLE_PAYTABLE.find(entry => matchesPaytableEntry(entry, reels)) || null;
+
+const isPaytablePoolAvailable = (entry, pools, now) => {
+  if (entry.prize.type === 'nft') return calculateRaffleNFTMonthlyAvailability(entry, pools, now) > 0;
+  return entry.pool === undefined || (pools.awarded[entry.id] || 0) < entry.pool;
+};
+
+const formatRafflePrize = (prize) => {
+  if (prize.type === 'usdt') return `$${prize.amount.toFixed(2)} USDT`;
+  if (prize.type === 'nft') return `${prize.tier} NFT`;
+  if (prize.type === 'stamp') return `${prize.amount} $DINOSUR Stamp${prize.amount > 1 ? 's' : ''}`;
+  return `${prize.amount.toLocaleString('en-US')} $eDINOSUR`;
+};
+
+// NFTs and stamps have no token value and always count as above the stop limit
+const getRafflePrizeValue = (prize) => {
+  if (prize.type === 'usdt') return prize.amount * RAFFLE_EDINOSUR_PER_USDT;
+  if (prize.type === 'edinosur') return prize.amount;
+  return Infinity;
+};
+
+// Publishes a new server seed's hash on the player's raffle doc; its nonces start at 0
+const commitNewRaffleServerSeed = (transaction, userId) => {
+  const serverSeed = generateRaffleSeed();
+  const serverSeedHash = sha256Hex(serverSeed);
+  transaction.set(getRaffleServerSeedDocRef(userId), { serverSeed, serverSeedHash, nonce: 0, committedAt: Date.now() });
+  transaction.set(getUserRaffleDocRef(userId), { serverSeedHash, nonce: 0 }, { merge: true });
+  return serverSeedHash;
+};
+
+// --- Callable functions ---
+
+// Signed-in callable whose LedgerErrors and ReferralErrors reach the client with their code in `details`
+const onLedgerCall = (handler) => onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', "Please connect your wallet first.");
+  }
+  try {
+    return await handler(request.auth.uid, request.data || {});
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      throw new HttpsError('failed-precondition', error.message, { ledgerCode: error.code });
+    }
+    if (error instanceof ReferralError) {
+      throw new HttpsError('failed-precondition', error.message, { referralErrorCode: error.code });
+    }
+    throw error;
+  }
+});
+
+// Reserves `tokens` at the current epoch's price and returns the pending purchase. `epoch` and
+// `price` are what the buyer was shown; the reservation is refused once they're out of date.
+exports.reserveSalePurchase = onLedgerCall((userId, { epoch, price, tokens }) => db.runTransaction(async (transaction) => {
+  if (!(tokens > 0) || !Number.isFinite(tokens)) {
+    throw new LedgerError("Please enter a valid amount to buy.", 'invalid-amount');
+  }
+  const context = await openSalePurchase(transaction, userId);
+  if (context.purchaseData.pendingPurchase) {
+    throw new LedgerError("Your previous purchase is still waiting for its payment. Please wait for it to settle before buying again.", 'sale-purchase-pending');
+  }
+  const now = Date.now();
+  const purchase = { epoch, price, tokens, costUSD: tokens * price };
+  const { totalPurchasedUSD, purchasedUSDInEpoch } = validateSalePurchase(context, purchase, now);
+
+  const pendingPurchase = {
+    id: crypto.randomUUID(),
+    epoch,
+    tokens,
+    priceUSD: price,
+    costUSD: purchase.costUSD,
+    reservedAt: now,
+    expiresAt: now + SALE_RESERVATION_TTL_MS,
+    payment: null,
+  };
+  transaction.set(getUserSalePurchaseDocRef(userId), {
+    totalPurchasedUSD: totalPurchasedUSD + purchase.costUSD,
+    userPurchasedUSDInCurrentEpoch: purchasedUSDInEpoch + purchase.costUSD,
+    lastPurchaseEpoch: epoch,
+    pendingPurchase,
+  }, { merge: true });
+  transaction.set(saleStateDocRef(), {
+    totalSoldTokens: FieldValue.increment(tokens),
+    epochSoldTokens: { [epoch]: FieldValue.increment(tokens) },
+  }, { merge: true });
+  return pendingPurchase;
+}));
+
+// Stores the broadcast payment on the reservation so it can be settled after a reload. A
+// reservation released because the wallet took longer than SALE_RESERVATION_TTL_MS is counted
+// again: the money has already been sent, so the purchase is honoured even past the caps.
+exports.recordSalePaymentSubmitted = onLedgerCall((userId, { pendingPurchaseId, payment }) => db.runTransaction(async (transaction) => {
+  const salePayment = readSalePayment(payment);
+  const purchaseDocRef = getUserSalePurchaseDocRef(userId);
+  const purchaseSnap = await transaction.get(purchaseDocRef);
+  const purchaseData = purchaseSnap.exists ? purchaseSnap.data() : {};
+  const current = purchaseData.pendingPurchase;
+  if (current && current.id === pendingPurchaseId) {
+    transaction.update(purchaseDocRef, { pendingPurchase: { ...current, payment: salePayment } });
+    return;
+  }
+  const released = (purchaseData.releasedPurchases || {})[pendingPurchaseId];
+  if (current || !released) {
+    // Settled, failed on-chain, or replaced by a newer reservation from another tab
+    throw new LedgerError(`Your reservation expired before payment ${salePayment.txHash} was sent and can no longer be restored. Please contact support with this transaction hash.`, 'sale-reservation-expired');
+  }
+
+  const lastPurchaseEpoch = purchaseData.lastPurchaseEpoch !== undefined ? purchaseData.lastPurchaseEpoch : -1;
+  const purchasedUSDInEpoch = lastPurchaseEpoch === released.epoch ? purchaseData.userPurchasedUSDInCurrentEpoch || 0 : 0;
+  transaction.set(purchaseDocRef, {
+    totalPurchasedUSD: (purchaseData.totalPurchasedUSD || 0) + released.costUSD,
+    // Leave a later epoch's spend alone; it has already replaced the reservation's epoch
+    ...(lastPurchaseEpoch <= released.epoch && {
+      userPurchasedUSDInCurrentEpoch: purchasedUSDInEpoch + released.costUSD,
+      lastPurchaseEpoch: released.epoch,
+    }),
+    pendingPurchase: { ...released, payment: salePayment },
+    releasedPurchases: { [pendingPurchaseId]: FieldValue.delete() },
+  }, { merge: true });
+  transaction.set(saleStateDocRef(), {
+    totalSoldTokens: FieldValue.increment(released.tokens),
+    epochSoldTokens: { [released.epoch]: FieldValue.increment(released.tokens) },
+  }, { merge: true });
+}));
+
+// Hands a reservation back to the sale. Returns false if it was already settled or released.
+// An unpaid reservation is kept under `releasedPurchases` so a payment the wallet still sends
+// can restore it.
+exports.releaseSalePurchase = onLedgerCall((userId, { pendingPurchaseId }) => db.runTransaction(async (transaction) => {
+  const pending = await openPendingSalePurchase(transaction, userId, pendingPurchaseId);
+  if (!pending) return false;
+
+  const { purchaseData, pendingPurchase } = pending;
+  transaction.update(getUserSalePurchaseDocRef(userId), {
+    totalPurchasedUSD: Math.max(0, (purchaseData.totalPurchasedUSD || 0) - pendingPurchase.costUSD),
+    // A later epoch's spend has already replaced the epoch the reservation was counted in
+    ...(purchaseData.lastPurchaseEpoch === pendingPurchase.epoch && {
+      userPurchasedUSDInCurrentEpoch: Math.max(0, (purchaseData.userPurchasedUSDInCurrentEpoch || 0) - pendingPurchase.costUSD),
+    }),
+    pendingPurchase: FieldValue.delete(),
+    ...(!pendingPurchase.payment && { [`releasedPurchases.${pendingPurchase.id}`]: { ...pendingPurchase, releasedAt: Date.now() } }),
+  });
+  transaction.set(saleStateDocRef(), {
+    totalSoldTokens: FieldValue.increment(-pendingPurchase.tokens),
+    epochSoldTokens: { [pendingPurchase.epoch]: FieldValue.increment(-pendingPurchase.tokens) },
+  }, { merge: true });
+  return true;
+}));
+
+// Turns a reservation whose payment is confirmed on-chain into a token allocation vesting from
+// TGE, and pays the buyer's referrer their commission on it. Returns the allocation, or null if
+// the reservation was already settled.
+exports.completeSalePurchase = onLedgerCall(async (userId, { pendingPurchaseId }) => {
+  const configSnap = await saleConfigDocRef().get();
+  const purchaseSnap = await getUserSalePurchaseDocRef(userId).get();
+  const checkedPurchase = purchaseSnap.exists ? purchaseSnap.data().pendingPurchase : null;
+  if (!checkedPurchase || checkedPurchase.id !== pendingPurchaseId) return null;
+  if (!checkedPurchase.payment) {
+    throw new LedgerError("This purchase has no payment yet.", 'payment-not-submitted');
+  }
+  // Checked before the transaction, which may run more than once
+  const payment = await verifySalePayment(readSaleConfig(configSnap.exists ? configSnap.data() : {}), checkedPurchase, checkedPurchase.payment);
+
+  return db.runTransaction(async (transaction) => {
+    const pending = await openPendingSalePurchase(transaction, userId, pendingPurchaseId);
+    if (!pending) return null;
+    const paymentDocRef = getSalePaymentDocRef(payment.txHash);
+    const paymentSnap = await transaction.get(paymentDocRef);
+    const commission = await openReferralCommission(transaction, userId);
+
+    const { pendingPurchase } = pending;
+    if (!pendingPurchase.payment || pendingPurchase.payment.txHash !== payment.txHash) {
+      throw new LedgerError("This purchase's payment changed while it was being checked. Please try again.", 'payment-unconfirmed');
+    }
+    if (paymentSnap.exists) {
+      throw new LedgerError(`Payment ${payment.txHash} has already been recorded.`, 'payment-already-recorded');
+    }
+
+    const allocation = {
+      id: pendingPurchase.id,
+      epoch: pendingPurchase.epoch,
+      tokens: pendingPurchase.tokens,
+      priceUSD: pendingPurchase.priceUSD,
+      costUSD: pendingPurchase.costUSD,
+      purchasedAt: Date.now(),
+      ...payment,
+    };
+    transaction.update(getUserSalePurchaseDocRef(userId), {
+      allocations: FieldValue.arrayUnion(allocation),
+      totalAllocatedTokens: FieldValue.increment(allocation.tokens),
+      pendingPurchase: FieldValue.delete(),
+    });
+    transaction.set(paymentDocRef, { userId, allocationId: allocation.id, ...payment, recordedAt: allocation.purchasedAt });
+    creditReferralCommission(transaction, commission, 'sale', allocation.tokens);
+    return allocation;
+  });
+});
+
+// Buys the next staking slot for $eDINOSUR and pays the buyer's referrer their commission on it
+exports.buyStakingSlot = onLedgerCall((userId) => db.runTransaction(async (transaction) => {
+  const account = await openLedgerAccount(transaction, userId);
+  const commission = await openReferralCommission(transaction, userId);
+  const { inventory, slots } = readStakingInventory(account.data);
+  const cost = calculateAddSlotCost(slots.length);
+  const { burnAmount, daoAmount } = ledgerDebit(account, cost, 'slot-purchase', {
+    burnShare: ADD_SLOT_BURN_SHARE,
+    daoShare: 1 - ADD_SLOT_BURN_SHARE,
+  });
+
+  const newId = slots.length > 0 ? Math.max(...slots.map(slot => slot.id)) + 1 : 1;
+  const newSlot = { id: newId, nftId: null, stakedAt: 0, lastSettledTime: 0 };
+  commitLedgerAccount(transaction, account, { inventory, slots: [...slots, newSlot] });
+  recordPublicEvent(transaction, userId, 'slot-purchase', { slotId: newId, cost });
+  creditReferralCommission(transaction, commission, 'slots', cost);
+  return { calculatedCost: cost, burnAmount, daoAmount };
+}));
+
+// Commits the player's first server seed. Safe to call any number of times: once a seed is
+// committed its hash is returned unchanged.
+exports.commitRaffleServerSeed = onLedgerCall((userId) => db.runTransaction(async (transaction) => {
+  const seedSnap = await transaction.get(getRaffleServerSeedDocRef(userId));
+  if (seedSnap.exists) return { serverSeedHash: seedSnap.data().serverSeedHash };
+  return { serverSeedHash: commitNewRaffleServerSeed(transaction, userId) };
+}));
+
+// Reveals the seed committed as `serverSeedHash` and commits a fresh one. A repeated request
+// for a seed that has already been rotated out returns the current hash without rotating again.
+exports.rotateRaffleServerSeed = onLedgerCall((userId, { serverSeedHash }) => db.runTransaction(async (transaction) => {
+  const seedSnap = await transaction.get(getRaffleServerSeedDocRef(userId));
+  if (!seedSnap.exists) {
+    return { serverSeedHash: commitNewRaffleServerSeed(transaction, userId) };
+  }
+  const previous = seedSnap.data();
+  if (previous.serverSeedHash !== serverSeedHash) {
+    return { serverSeedHash: previous.serverSeedHash };
+  }
+  transaction.set(getUserRaffleRevealedSeedsRef(userId).doc(previous.serverSeedHash), {
+    serverSeedHash: previous.serverSeedHash,
+    serverSeed: previous.serverSeed,
+    committedAt: previous.committedAt,
+    revealedAt: Date.now(),
+  });
+  return { serverSeedHash: commitNewRaffleServerSeed(transaction, userId) };
+}));
+
+// Sells `quantity` tickets for $eDINOSUR; RAFFLE_TICKET_BURN_SHARE of the price goes to the burn
+// queue and the buyer's referrer gets their commission on it
+exports.buyRaffleTickets = onLedgerCall((userId, { quantity }) => db.runTransaction(async (transaction) => {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new LedgerError("Please choose at least one ticket.", 'invalid-amount');
+  }
+  const raffleDocRef = getUserRaffleDocRef(userId);
+  const raffleSnap = await transaction.get(raffleDocRef);
+  const account = await openLedgerAccount(transaction, userId);
+  const commission = await openReferralCommission(transaction, userId);
+  const cost = quantity * RAFFLE_TICKET_COST;
+  const tickets = (raffleSnap.exists ? raffleSnap.data().tickets || 0 : 0) + quantity;
+  const { burnAmount } = ledgerDebit(account, cost, 'raffle-tickets', { burnShare: RAFFLE_TICKET_BURN_SHARE });
+  transaction.set(raffleDocRef, { tickets }, { merge: true });
+  commitLedgerAccount(transaction, account);
+  recordPublicEvent(transaction, userId, 'ticket-purchase', { tickets: quantity });
+  creditReferralCommission(transaction, commission, 'tickets', cost);
+  return { tickets, burnAmount };
+}));
+
+// Plays up to `maxSpins` spins in one transaction, stopping early when a stop condition is met
+// ({ stopOnAnyWin, stopAboveValue }) or the tickets run out. Each spin's reels come from the
+// committed server seed, client seed and nonce, and its prize is settled against the shared
+// pools. $eDINOSUR prizes go to the staking account and won NFTs vest there until the next
+// monthly release.
+exports.playRaffleSpins = onLedgerCall((userId, { maxSpins, stopOnAnyWin = false, stopAboveValue = null }) => {
+  if (!Number.isInteger(maxSpins) || maxSpins < 1) {
+    throw new LedgerError("Please choose how many spins to play.", 'invalid-spin-count');
+  }
+  if (stopAboveValue !== null && !(Number.isFinite(stopAboveValue) && stopAboveValue >= 0)) {
+    throw new LedgerError("Please enter a valid prize value to stop at.", 'invalid-stop-value');
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const raffleDocRef = getUserRaffleDocRef(userId);
+    const seedDocRef = getRaffleServerSeedDocRef(userId);
+    const raffleSnap = await transaction.get(raffleDocRef);
+    const seedSnap = await transaction.get(seedDocRef);
+    const poolsSnap = await transaction.get(rafflePrizePoolsDocRef());
+    const raffleConfigSnap = await transaction.get(raffleConfigDocRef());
+    const account = await openLedgerAccount(transaction, userId);
+    const supply = await openNFTSupply(transaction);
+    const raffleData = raffleSnap.exists ? raffleSnap.data() : {};
+    if ((raffleData.tickets || 0) < 1) {
+      throw new LedgerError("You need to buy tickets first!", 'no-tickets');
+    }
+    if (!seedSnap.exists || !raffleData.clientSeed) {
+      throw new LedgerError("Your raffle seeds are still being set up. Please try again in a moment.", 'seed-not-ready');
+    }
+
+    const { serverSeed, serverSeedHash } = seedSnap.data();
+    const pools = readRafflePrizePools(poolsSnap.exists ? poolsSnap.data() : {}, raffleConfigSnap.exists ? raffleConfigSnap.data() : {});
+    const awardedIncrements = {};
+    const vestingNFTs = [...(account.data.vestingNFTs || [])];
+    const now = Date.now();
+    let tickets = raffleData.tickets;
+    let nonce = seedSnap.data().nonce || 0;
+    let usdtWon = 0;
+    let stampsWon = 0;
+    let accountChanged = false;
+    let nftMinted = false;
+    let stopReason = 'completed';
+    const spins = [];
+
+    while (spins.length < Math.min(maxSpins, RAFFLE_BATCH_SPIN_LIMIT)) {
+      if (tickets < 1) {
+        stopReason = 'out-of-tickets';
+        break;
+      }
+      const reels = calculateSpinReels(serverSeed, raffleData.clientSeed, nonce);
+
+      const entry = findPaytableEntry(reels);
+      const prizeAvailable = entry !== null && isPaytablePoolAvailable(entry, pools, now)
+        && (entry.prize.type !== 'nft' || isNFTSupplyAvailable(supply, entry.prize.tier));
+      const prize = prizeAvailable ? entry.prize : null;
+      let wonNFT = null;
+      if (prize && prize.type === 'usdt') {
+        usdtWon += prize.amount;
+      } else if (prize && prize.type === 'stamp') {
+        stampsWon += prize.amount;
+      } else if (prize && prize.type === 'edinosur') {
+        ledgerCredit(account, prize.amount, 'raffle-prize');
+        accountChanged = true;
+      } else if (prize && prize.type === 'nft') {
+        // Won NFTs vest until next month's release before they reach the inventory
+        wonNFT = { ...mintNFT(supply, prize.tier, 'raffle', now), unlocksAt: getRaffleNFTUnlockTime(pools, now) };
+        vestingNFTs.push(wonNFT);
+        accountChanged = true;
+        nftMinted = true;
+      }
+      if (prize) {
+        pools.awarded = { ...pools.awarded, [entry.id]: (pools.awarded[entry.id] || 0) + 1 };
+        awardedIncrements[entry.id] = (awardedIncrements[entry.id] || 0) + 1;
+      }
+
+      spins.push({
+        serverSeedHash,
+        clientSeed: raffleData.clientSeed,
+        nonce,
+        reels,
+        stripVersion: RAFFLE_REEL_STRIP_VERSION,
+        paytableEntryId: entry ? entry.id : null,
+        prize,
+        nftId: wonNFT ? wonNFT.id : null,
+        nftUnlocksAt: wonNFT ? wonNFT.unlocksAt : null,
+        poolEmpty: entry !== null && !prizeAvailable,
+        createdAt: now,
+      });
+      tickets -= 1;
+      nonce += 1;
+
+      if (prize && stopOnAnyWin) {
+        stopReason = 'won';
+        break;
+      }
+      if (prize && stopAboveValue !== null && getRafflePrizeValue(prize) > stopAboveValue) {
+        stopReason = 'big-win';
+        break;
+      }
+    }
+    if (stopReason === 'completed' && tickets < 1) stopReason = 'out-of-tickets';
+
+    transaction.update(seedDocRef, { nonce });
+    transaction.set(raffleDocRef, {
+      tickets,
+      nonce,
+      ...(usdtWon > 0 ? { usdtWinnings: FieldValue.increment(usdtWon) } : {}),
+      ...(stampsWon > 0 ? { stamps: FieldValue.increment(stampsWon) } : {}),
+    }, { merge: true });
+    spins.forEach(({ nftUnlocksAt, poolEmpty, ...spinRecord }) => {
+      transaction.set(getUserRaffleSpinsRef(userId).doc(), spinRecord);
+    });
+    if (Object.keys(awardedIncrements).length > 0) {
+      transaction.set(rafflePrizePoolsDocRef(), {
+        awarded: Object.fromEntries(Object.entries(awardedIncrements).map(([entryId, count]) => [entryId, FieldValue.increment(count)])),
+      }, { merge: true });
+    }
+    if (nftMinted) {
+      commitNFTSupply(transaction, supply);
+    }
+    if (accountChanged) {
+      commitLedgerAccount(transaction, account, { vestingNFTs });
+    }
+
+    recordPublicEvent(transaction, userId, 'spin', spins.length === 1 ? { reels: spins[0].reels } : { reels: spins[spins.length - 1].reels, spinCount: spins.length });
+    spins.filter(spin => spin.prize).forEach(spin => {
+      recordPublicEvent(transaction, userId, 'prize', { prize: spin.prize, prizeLabel: formatRafflePrize(spin.prize) });
+    });
+    return { spins, ticketsLeft: tickets, stopReason };
+  });
+});
+
+// Burns the player's stamps to mint a King or Legend NFT straight into the inventory, once TGE is live
+exports.redeemRaffleStamps = onLedgerCall((userId, { tier }) => db.runTransaction(async (transaction) => {
+  const cost = STAMP_REDEMPTION_COSTS[tier];
+  if (!cost) {
+    throw new LedgerError("Stamps can only be redeemed for King and Legend NFTs.", 'invalid-tier');
+  }
+  const raffleDocRef = getUserRaffleDocRef(userId);
+  const tgeSnap = await transaction.get(tgeConfigDocRef());
+  const raffleSnap = await transaction.get(raffleDocRef);
+  const account = await openLedgerAccount(transaction, userId);
+  const supply = await openNFTSupply(transaction);
+  const now = Date.now();
+  const tgeTime = tgeSnap.exists ? tgeSnap.data().tgeTime || null : null;
+  if (tgeTime === null || now < tgeTime) {
+    throw new LedgerError("Stamp redemption opens at TGE.", 'tge-not-live');
+  }
+  const stamps = raffleSnap.exists ? raffleSnap.data().stamps || 0 : 0;
+  if (stamps < cost) {
+    throw new LedgerError(`You need ${cost} $DINOSUR Stamps to mint a ${tier} NFT but have ${stamps}.`, 'insufficient-stamps');
+  }
+  if (!isNFTSupplyAvailable(supply, tier)) {
+    throw new LedgerError(`All ${NFT_TIERS[tier].supply.toLocaleString()} ${tier} NFTs have already been minted.`, 'supply-exhausted');
+  }
+
+  const { inventory, slots } = readStakingInventory(account.data);
+  const nft = mintNFT(supply, tier, 'stamp', now);
+  commitNFTSupply(transaction, supply);
+  commitLedgerAccount(transaction, account, { inventory: [...inventory, nft], slots });
+  transaction.set(raffleDocRef, { stamps: stamps - cost, totalStampsBurnt: FieldValue.increment(cost) }, { merge: true });
+  return { nft, stamps: stamps - cost };
+}));
+// --- Weekly raffle draws ---
+// Each draw's seed is generated and committed (as its SHA-256 hash) before the draw takes its
+// first entry, and revealed when the draw closes. Winners come from
+// SHA-256("drawId:serverSeed:snapshotHash"), so nobody can work out the winning tickets while
+// entries are still open, and anyone can recompute them afterwards. Entries and closing both
+// run on server time.
+
+const RAFFLE_DRAW_PERIOD_MS = 7 * MS_PER_DAY;
+const RAFFLE_DRAW_EPOCH = Date.UTC(2025, 0, 6); // A Monday 00:00 UTC; draw 0 closed a week later
+const RAFFLE_DRAW_PRIZES = [
+  { type: 'edinosur', amount: 2000000 },
+  { type: 'edinosur', amount: 1000000 },
+  { type: 'usdt', amount: 100 },
+  { type: 'usdt', amount: 50 },
+  { type: 'edinosur', amount: 500000 },
+];
+// Ended draws looked at by each run of closeRaffleDraws
+const RAFFLE_DRAW_CLOSE_BATCH = 10;
+
+const raffleDrawsRef = () => appCollection('public/data/raffle_draws');
+const getRaffleDrawDocRef = (drawIndex) => raffleDrawsRef().doc(`draw-${drawIndex}`);
+const getRaffleDrawEntriesRef = (drawIndex) => appCollection(`public/data/raffle_draws/draw-${drawIndex}/entries`);
+// { serverSeed }, revealed on the draw doc when the draw closes
+const getRaffleDrawSeedDocRef = (drawIndex) => appDoc(`private/data/raffle_draw_seeds/draw-${drawIndex}`);
+
+const getRaffleDrawIndex = (now) => Math.floor((now - RAFFLE_DRAW_EPOCH) / RAFFLE_DRAW_PERIOD_MS);
+const getRaffleDrawCloseTime = (drawIndex) => RAFFLE_DRAW_EPOCH + (drawIndex + 1) * RAFFLE_DRAW_PERIOD_MS;
+
+// Same selection as selectRaffleDrawWinners in App.js
+const selectRaffleDrawWinners = (drawIndex, serverSeed, snapshot) => {
+  const snapshotHash = sha256Hex(JSON.stringify(snapshot));
+  const seed = sha256Hex(`draw-${drawIndex}:${serverSeed}:${snapshotHash}`);
+  const remaining = [...snapshot];
+  const winners = [];
+  for (let position = 0; position < RAFFLE_DRAW_PRIZES.length && remaining.length > 0; position++) {
+    const totalTickets = remaining.reduce((sum, entry) => sum + entry.tickets, 0);
+    const winningTicket = BigInt(`0x${sha256Hex(`${seed}:${position}`)}`) % BigInt(totalTickets);
+    let ticketsSoFar = 0n;
+    const winnerIndex = remaining.findIndex(entry => (ticketsSoFar += BigInt(entry.tickets)) > winningTicket);
+    const prize = RAFFLE_DRAW_PRIZES[position];
+    winners.push({ position, actor: remaining[winnerIndex].actor, prize, prizeLabel: formatRafflePrize(prize) });
+    remaining.splice(winnerIndex, 1);
+  }
+  return { snapshotHash, seed, winners };
+};
+
+// Commits a seed for `drawIndex` unless it already has one. `drawSnap` must be read in `transaction`.
+const commitRaffleDrawSeed = (transaction, drawIndex, drawSnap) => {
+  if (drawSnap.exists && drawSnap.data().seedHash) return null;
+  const serverSeed = generateRaffleSeed();
+  const commitment = { seedHash: sha256Hex(serverSeed), committedAt: Date.now() };
+  transaction.set(getRaffleDrawSeedDocRef(drawIndex), { serverSeed });
+  if (drawSnap.exists) {
+    transaction.update(getRaffleDrawDocRef(drawIndex), commitment);
+  } else {
+    transaction.set(getRaffleDrawDocRef(drawIndex), { drawIndex, closesAt: getRaffleDrawCloseTime(drawIndex), status: 'open', totalEntries: 0, ...commitment });
+  }
+  return serverSeed;
+};
+
+// Closes an ended draw: publishes the entry snapshot, reveals the seed, picks the winners and
+// credits their prizes. A draw that never had a seed committed, such as one entered before
+// seeds were, can't be drawn fairly, so it is voided and its tickets go back to the entrants.
+// Closed and voided draws are left untouched.
+const closeRaffleDraw = (drawIndex) => db.runTransaction(async (transaction) => {
+  const drawDocRef = getRaffleDrawDocRef(drawIndex);
+  const drawSnap = await transaction.get(drawDocRef);
+  if (!drawSnap.exists || drawSnap.data().status !== 'open') return null;
+  if (Date.now() < getRaffleDrawCloseTime(drawIndex)) return null;
+  const seedSnap = await transaction.get(getRaffleDrawSeedDocRef(drawIndex));
+  const entriesSnap = await transaction.get(getRaffleDrawEntriesRef(drawIndex));
+
+  const entrants = entriesSnap.docs
+    .map(entryDoc => ({ userId: entryDoc.id, actor: entryDoc.data().actor, tickets: entryDoc.data().tickets }))
+    .filter(entrant => entrant.tickets > 0)
+    .sort((a, b) => a.actor.localeCompare(b.actor));
+  if (!seedSnap.exists) {
+    entrants.forEach(entrant => {
+      transaction.set(getUserRaffleDocRef(entrant.userId), { tickets: FieldValue.increment(entrant.tickets) }, { merge: true });
+    });
+    transaction.update(drawDocRef, { status: 'void', closedAt: Date.now() });
+    transaction.set(appCollection('public/data/events').doc(), { type: 'draw-result', actor: 'Raffle', drawIndex, winnerCount: 0, voided: true, createdAt: Date.now() });
+    return [];
+  }
+
+  const snapshot = entrants.map(({ actor, tickets }) => ({ actor, tickets }));
+  const { serverSeed } = seedSnap.data();
+  const { snapshotHash, seed, winners } = selectRaffleDrawWinners(drawIndex, serverSeed, snapshot);
+  const winnerUserIds = winners.map(winner => entrants.find(entrant => entrant.actor === winner.actor).userId);
+  const accounts = [];
+  for (const [position, winnerUserId] of winnerUserIds.entries()) {
+    accounts.push(winners[position].prize.type === 'edinosur' ? await openLedgerAccount(transaction, winnerUserId) : null);
+  }
+
+  winners.forEach((winner, position) => {
+    if (winner.prize.type === 'edinosur') {
+      ledgerCredit(accounts[position], winner.prize.amount, 'raffle-draw-prize');
+      commitLedgerAccount(transaction, accounts[position]);
+    } else {
+      transaction.set(getUserRaffleDocRef(winnerUserIds[position]), { usdtWinnings: FieldValue.increment(winner.prize.amount) }, { merge: true });
+    }
+    recordPublicEvent(transaction, winnerUserIds[position], 'prize', { prize: winner.prize, prizeLabel: `${winner.prizeLabel} in weekly draw #${drawIndex}` });
+  });
+  transaction.update(drawDocRef, { status: 'closed', closedAt: Date.now(), serverSeed, seedHash: sha256Hex(serverSeed), snapshot, snapshotHash, seed, winners });
+  transaction.set(appCollection('public/data/events').doc(), { type: 'draw-result', actor: 'Raffle', drawIndex, winnerCount: winners.length, createdAt: Date.now() });
+  return winners;
+});
+
+// Moves `tickets` from the player's raffle tickets into the draw open at server time
+exports.enterRaffleDraw = onLedgerCall((userId, { tickets }) => {
+  if (!Number.isInteger(tickets) || tickets < 1) {
+    throw new LedgerError("Please enter at least one ticket.", 'invalid-ticket-count');
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const now = Date.now();
+    const drawIndex = getRaffleDrawIndex(now);
+    const raffleDocRef = getUserRaffleDocRef(userId);
+    const entryDocRef = getRaffleDrawEntriesRef(drawIndex).doc(userId);
+    const drawSnap = await transaction.get(getRaffleDrawDocRef(drawIndex));
+    const raffleSnap = await transaction.get(raffleDocRef);
+    const entrySnap = await transaction.get(entryDocRef);
+    if ((drawSnap.exists && drawSnap.data().status === 'closed') || now >= getRaffleDrawCloseTime(drawIndex)) {
+      throw new LedgerError(`Weekly draw #${drawIndex} has closed. Please enter the next one.`, 'draw-closed');
+    }
+    const heldTickets = raffleSnap.exists ? raffleSnap.data().tickets || 0 : 0;
+    if (heldTickets < tickets) {
+      throw new LedgerError(`You only have ${heldTickets} tickets to enter.`, 'no-tickets');
+    }
+
+    commitRaffleDrawSeed(transaction, drawIndex, drawSnap);
+    transaction.set(raffleDocRef, { tickets: heldTickets - tickets }, { merge: true });
+    transaction.set(entryDocRef, { actor: pseudonymiseUserId(userId), tickets: (entrySnap.exists ? entrySnap.data().tickets : 0) + tickets });
+    transaction.update(getRaffleDrawDocRef(drawIndex), { totalEntries: FieldValue.increment(tickets) });
+    recordPublicEvent(transaction, userId, 'draw-entry', { tickets, drawIndex });
+    return { drawIndex };
+  });
+});
+
+// Commits the seed of the draw that's open and of the next one ahead of time, then closes every
+// draw whose entry period has ended
+exports.closeRaffleDraws = onSchedule('every 15 minutes', async () => {
+  const now = Date.now();
+  const drawIndex = getRaffleDrawIndex(now);
+  for (const upcomingIndex of [drawIndex, drawIndex + 1]) {
+    await db.runTransaction(async (transaction) => {
+      commitRaffleDrawSeed(transaction, upcomingIndex, await transaction.get(getRaffleDrawDocRef(upcomingIndex)));
+    });
+  }
+
+  const endedDraws = await raffleDrawsRef()
+    .where('closesAt', '<=', now)
+    .orderBy('closesAt', 'desc')
+    .limit(RAFFLE_DRAW_CLOSE_BATCH)
+    .get();
+  for (const drawDoc of endedDraws.docs.filter(drawDoc => drawDoc.data().status === 'open')) {
+    await closeRaffleDraw(drawDoc.data().drawIndex);
+  }
+});
+
+// --- Referrals ---
+// Referral codes are allocated, registered and bound here, so nobody can take over someone else's
+// code, look up whose a code is, or bind an account that wasn't created through the referral
+// link. Each binding also stores the referee's uplines (referrer, their referrer, ...) so
+// commission can be spread over several levels. Commission is only credited by the purchases
+// settled in this file, never from documents the buyer wrote.
+
+class ReferralError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ReferralError';
+    this.code = code;
+  }
+}
+
+// { userId, vanity, createdAt } per code. Only the backend reads it, so codes don't resolve to UIDs publicly.
+const getReferralCodeDocRef = (code) => appDoc(`private/data/referral_codes/${code}`);
+// Where codes were registered before; moved over by migrateReferralCodes
+const legacyReferralCodesRef = () => appCollection('public/data/referral_codes');
+const getReferralDocRef = (refereeId) => appDoc(`public/data/referrals/${refereeId}`);
+const getAffiliateDocRef = (userId) => appDoc(`users/${userId}/data/affiliate`);
+// One document per referee anywhere in the upline's downline, with their level and the
+// commission they've earned the upline, by source
+const getAffiliateRefereeDocRef = (uplineId, refereeId) => appDoc(`users/${uplineId}/data/affiliate/referees/${refereeId}`);
+const referralConfigDocRef = () => appDoc('public/data/affiliate/config');
+
+// Same levels and default rates as App.js, as a share of the $eDINOSUR spent or bought.
+// `commissionLevels[0]` holds the direct referrer's rates, `commissionLevels[1]` their referrer's.
+const REFERRAL_MAX_LEVELS = 5;
+const REFERRAL_COMMISSION_SOURCES = ['sale', 'tickets', 'slots'];
+const DEFAULT_REFERRAL_CONFIG = {
+  commissionLevels: [
+    { sale: 0.05, tickets: 0.05, slots: 0.05 },
+    { sale: 0.02, tickets: 0.02, slots: 0.02 },
+    { sale: 0.01, tickets: 0.01, slots: 0.01 },
+  ],
+  // $eDINOSUR paid to the top affiliates of each season, ranked by `seasonPrizeMetric`
+  seasonPrizes: [5000000, 2500000, 1000000, 500000, 250000],
+  seasonPrizeMetric: 'earnings',
+};
+
+// Only accounts this young can be bound, so a referral link can't recruit an existing player
+const REFERRAL_BIND_WINDOW_MS = MS_PER_DAY;
+
+// Codes are random, so they say nothing about the UID they resolve to through the registry.
+// The alphabet leaves out 0/O and 1/I so codes can be read out loud.
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+const REFERRAL_CODE_ATTEMPTS = 5;
+
+const VANITY_CODE_PATTERN = /^[A-Z0-9]{4,16}$/;
+const RESERVED_REFERRAL_WORDS = ['ADMIN', 'SUPPORT', 'OFFICIAL', 'MODERATOR', 'STAFF', 'TEAM', 'DINOSUR', 'AIRDROP', 'GIVEAWAY', 'REFUND'];
+const REFERRAL_CODE_MIGRATION_BATCH = 200;
+
+const generateReferralCode = () => Array.from(crypto.randomBytes(REFERRAL_CODE_LENGTH), byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+
+const normaliseReferralCode = (code) => (typeof code === 'string' ? code : '').trim().toUpperCase();
+
+// Same checks as validateVanityReferralCode in App.js
+const validateVanityReferralCode = (code) => {
+  if (!VANITY_CODE_PATTERN.test(code)) {
+    return "Vanity codes must be 4 to 16 letters and numbers.";
+  }
+  const reservedWord = RESERVED_REFERRAL_WORDS.find(word => code.includes(word));
+  if (reservedWord) {
+    return `Vanity codes can't contain the reserved word ${reservedWord}.`;
+  }
+  return null;
+};
+
+// Registrations from before codes were random carry no `vanity` flag, and their code is a UID prefix
+const isUidPrefixReferralCode = (registration) => registration.vanity === undefined;
+
+// Reads who `code` belongs to, or null if nobody. Codes still in the legacy public registry count
+// until migrateReferralCodes has moved them; UID-prefix codes no longer resolve.
+const readReferralCodeOwner = async (transaction, code) => {
+  const codeSnap = await transaction.get(getReferralCodeDocRef(code));
+  if (codeSnap.exists) return codeSnap.data().userId;
+  const legacySnap = await transaction.get(legacyReferralCodesRef().doc(code));
+  return legacySnap.exists && !isUidPrefixReferralCode(legacySnap.data()) ? legacySnap.data().userId : null;
+};
+
+// Configs saved before commission had levels only set `commissionRates`, the direct referrer's rates
+const readStoredCommissionLevels = (data) => {
+  if (data.commissionLevels) return data.commissionLevels;
+  if (data.commissionRates) return [{ ...DEFAULT_REFERRAL_CONFIG.commissionLevels[0], ...data.commissionRates }, ...DEFAULT_REFERRAL_CONFIG.commissionLevels.slice(1)];
+  return DEFAULT_REFERRAL_CONFIG.commissionLevels;
+};
+
+const readReferralConfig = (data = {}) => ({
+  ...DEFAULT_REFERRAL_CONFIG,
+  ...data,
+  commissionLevels: readStoredCommissionLevels(data)
+    .slice(0, REFERRAL_MAX_LEVELS)
+    .map(rates => Object.fromEntries(REFERRAL_COMMISSION_SOURCES.map(source => [source, rates[source] || 0]))),
+  seasonPrizeMetric: AFFILIATE_SEASON_METRICS.includes(data.seasonPrizeMetric) ? data.seasonPrizeMetric : DEFAULT_REFERRAL_CONFIG.seasonPrizeMetric,
+});
+
+// Older bindings only recorded the direct referrer
+const readReferralUplines = (referral) => referral.uplines || [referral.referrerId];
+
+// Whether `userId` is `startId` or one of its uplines. Stored upline lists stop at
+// REFERRAL_MAX_LEVELS, so the chain is followed one binding at a time up to its root.
+const isInReferralChain = async (transaction, userId, startId) => {
+  const visited = new Set();
+  for (let currentId = startId; currentId && !visited.has(currentId);) {
+    if (currentId === userId) return true;
+    visited.add(currentId);
+    const referralSnap = await transaction.get(getReferralDocRef(currentId));
+    currentId = referralSnap.exists ? referralSnap.data().referrerId : null;
+  }
+  return false;
+};
+
+// Reads who, if anyone, earns commission on `refereeId`'s purchases within `transaction`; call
+// before any transaction writes and pass the result to creditReferralCommission
+const openReferralCommission = async (transaction, refereeId) => {
+  const referralSnap = await transaction.get(getReferralDocRef(refereeId));
+  if (!referralSnap.exists) return null;
+  const configSnap = await transaction.get(referralConfigDocRef());
+  const config = readReferralConfig(configSnap.exists ? configSnap.data() : {});
+  // Cycle guard: stop at the first upline that loops back to the referee or repeats
+  const uplines = [];
+  for (const uplineId of readReferralUplines(referralSnap.data()).slice(0, config.commissionLevels.length)) {
+    if (uplineId === refereeId || uplines.includes(uplineId)) break;
+    uplines.push(uplineId);
+  }
+  return { refereeId, uplines, config };
+};
+
+// Credits each upline's claimable balance with their level's commission on `amount` $eDINOSUR
+const creditReferralCommission = (transaction, commission, source, amount) => {
+  if (!commission) return 0;
+  let totalEarned = 0;
+  commission.uplines.forEach((uplineId, index) => {
+    const level = index + 1;
+    const earned = amount * (commission.config.commissionLevels[index][source] || 0);
+    if (earned <= 0) return;
+    transaction.set(getAffiliateDocRef(uplineId), {
+      referralEarnings: FieldValue.increment(earned),
+      totalCommissionEarned: FieldValue.increment(earned),
+      levelEarnings: { [level]: FieldValue.increment(earned) },
+    }, { merge: true });
+    transaction.set(getAffiliateRefereeDocRef(uplineId, commission.refereeId), {
+      actor: pseudonymiseUserId(commission.refereeId),
+      level,
+      commissionBySource: { [source]: FieldValue.increment(earned) },
+      totalCommission: FieldValue.increment(earned),
+      lastCommissionAt: Date.now(),
+    }, { merge: true });
+    recordAffiliateSeasonProgress(transaction, uplineId, { earnings: earned });
+    totalEarned += earned;
+  });
+  return totalEarned;
+};
+
+// Gives the player a registered referral code, or returns the one they already have
+exports.allocateReferralCode = onLedgerCall((userId) => db.runTransaction(async (transaction) => {
+  const affiliateSnap = await transaction.get(getAffiliateDocRef(userId));
+  if (affiliateSnap.exists && affiliateSnap.data().referralCode) {
+    return { code: affiliateSnap.data().referralCode };
+  }
+  for (let attempt = 0; attempt < REFERRAL_CODE_ATTEMPTS; attempt++) {
+    const code = generateReferralCode();
+    if (await readReferralCodeOwner(transaction, code)) continue;
+    transaction.create(getReferralCodeDocRef(code), { userId, vanity: false, createdAt: Date.now() });
+    transaction.set(getAffiliateDocRef(userId), { referralCode: code }, { merge: true });
+    return { code };
+  }
+  throw new ReferralError("Couldn't find a free referral code. Please try again.", 'code-allocation-failed');
+}));
+
+// Registers a custom code for the player. Each player gets one, and it can't be changed later.
+exports.claimVanityReferralCode = onLedgerCall((userId, data) => {
+  const code = normaliseReferralCode(data.code);
+  const validationError = validateVanityReferralCode(code);
+  if (validationError) {
+    throw new ReferralError(validationError, 'invalid-vanity-code');
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const affiliateSnap = await transaction.get(getAffiliateDocRef(userId));
+    const codeOwner = await readReferralCodeOwner(transaction, code);
+    if (affiliateSnap.exists && affiliateSnap.data().vanityCode) {
+      throw new ReferralError(`You've already claimed the vanity code ${affiliateSnap.data().vanityCode}.`, 'vanity-already-claimed');
+    }
+    if (codeOwner) {
+      throw new ReferralError(`The code ${code} is already taken.`, 'code-taken');
+    }
+
+    transaction.create(getReferralCodeDocRef(code), { userId, vanity: true, createdAt: Date.now() });
+    transaction.set(getAffiliateDocRef(userId), { vanityCode: code }, { merge: true });
+    return { code };
+  });
+});
+
+// Empties the legacy public registry: random and vanity codes move to the private one, and
+// UID-prefix codes are deleted. Once it's empty each run finds nothing to do.
+exports.migrateReferralCodes = onSchedule('every 60 minutes', async () => {
+  const legacySnap = await legacyReferralCodesRef().limit(REFERRAL_CODE_MIGRATION_BATCH).get();
+  for (const legacyDoc of legacySnap.docs) {
+    await db.runTransaction(async (transaction) => {
+      const registrationSnap = await transaction.get(legacyDoc.ref);
+      const codeSnap = await transaction.get(getReferralCodeDocRef(legacyDoc.id));
+      if (!registrationSnap.exists) return;
+      if (!isUidPrefixReferralCode(registrationSnap.data()) && !codeSnap.exists) {
+        transaction.create(getReferralCodeDocRef(legacyDoc.id), registrationSnap.data());
+      }
+      transaction.delete(legacyDoc.ref);
+    });
+  }
+});
+
+// Binds the player to the owner of `code` and adds them to the downline of every upline
+exports.bindReferral = onLedgerCall(async (refereeId, data) => {
+  const code = normaliseReferralCode(data.code);
+  const { metadata } = await getAuth().getUser(refereeId);
+  if (Date.now() - Date.parse(metadata.creationTime) > REFERRAL_BIND_WINDOW_MS) {
+    throw new ReferralError("Referral links only apply to new accounts.", 'account-not-new');
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const referrerId = code ? await readReferralCodeOwner(transaction, code) : null;
+    const referralSnap = await transaction.get(getReferralDocRef(refereeId));
+    if (!referrerId) {
+      throw new ReferralError(`Referral code ${code} doesn't exist.`, 'unknown-code');
+    }
+    if (referrerId === refereeId) {
+      throw new ReferralError("You can't use your own referral code.", 'self-referral');
+    }
+    if (referralSnap.exists) {
+      throw new ReferralError("Your account is already linked to a referrer.", 'already-referred');
+    }
+    const referrerReferralSnap = await transaction.get(getReferralDocRef(referrerId));
+    const referrerUplines = referrerReferralSnap.exists ? readReferralUplines(referrerReferralSnap.data()) : [];
+    // Someone already in your downline can't become your upline
+    if (await isInReferralChain(transaction, refereeId, referrerReferralSnap.exists ? referrerReferralSnap.data().referrerId : null)) {
+      throw new ReferralError("You can't join through someone you referred.", 'referral-cycle');
+    }
+
+    const createdAt = Date.now();
+    const uplines = [referrerId, ...referrerUplines].slice(0, REFERRAL_MAX_LEVELS);
+    const actor = pseudonymiseUserId(refereeId);
+    const parentActor = pseudonymiseUserId(referrerId);
+    transaction.set(getReferralDocRef(refereeId), { referrerId, uplines, code, createdAt });
+    uplines.forEach((uplineId, index) => {
+      const level = index + 1;
+      transaction.set(getAffiliateDocRef(uplineId), {
+        ...(level === 1 ? { referralCount: FieldValue.increment(1) } : {}),
+        downlineCounts: { [level]: FieldValue.increment(1) },
+      }, { merge: true });
+      transaction.set(getAffiliateRefereeDocRef(uplineId, refereeId), { actor, parentActor, level, joinedAt: createdAt, totalCommission: 0 }, { merge: true });
+    });
+    recordAffiliateSeasonProgress(transaction, referrerId, { referrals: 1 });
+    return { code };
+  });
+});
+
+// Moves the player's unclaimed referral commission into their $eDINOSUR balance
+exports.claimReferralEarnings = onLedgerCall((userId) => db.runTransaction(async (transaction) => {
+  const affiliateDocRef = getAffiliateDocRef(userId);
+  const affiliateSnap = await transaction.get(affiliateDocRef);
+  const account = await openLedgerAccount(transaction, userId);
+  const claimed = affiliateSnap.exists ? affiliateSnap.data().referralEarnings || 0 : 0;
+  if (claimed <= 0) {
+    throw new LedgerError("No referral earnings to claim yet!", 'nothing-to-claim');
+  }
+  ledgerCredit(account, claimed, 'referral-claim');
+  transaction.set(affiliateDocRef, { referralEarnings: 0 }, { merge: true });
+  commitLedgerAccount(transaction, account);
+  return { claimed };
+}));
+
+// --- Affiliate seasons ---
+// Each calendar month (UTC) is a season, ranked by the direct referrals and commission recorded
+// above. closeAffiliateSeasons pays each season's prizes on server time once it has ended.
+
+const getAffiliateSeasonDocRef = (seasonId) => appDoc(`public/data/affiliate_seasons/${seasonId}`);
+const getAffiliateSeasonStandingsRef = (seasonId) => appCollection(`public/data/affiliate_seasons/${seasonId}/standings`);
+
+const AFFILIATE_SEASON_METRICS = ['referrals', 'earnings'];
+// Ended seasons checked by each run of closeAffiliateSeasons
+const AFFILIATE_SEASON_CLOSE_LOOKBACK = 6;
+
+const getAffiliateSeasonId = (time) => {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+const getAffiliateSeasonEndTime = (seasonId) => {
+  const [year, month] = seasonId.split('-').map(Number);
+  return Date.UTC(year, month, 1); // Months are 0-based, so this is the first of the next month
+};
+
+// The season `offset` seasons before `seasonId`
+const getEarlierAffiliateSeasonId = (seasonId, offset = 1) => {
+  const [year, month] = seasonId.split('-').map(Number);
+  return getAffiliateSeasonId(Date.UTC(year, month - 1 - offset, 1));
+};
+
+const recordAffiliateSeasonProgress = (transaction, userId, progress) => {
+  const seasonId = getAffiliateSeasonId(Date.now());
+  transaction.set(getAffiliateSeasonStandingsRef(seasonId).doc(userId), {
+    actor: pseudonymiseUserId(userId),
+    ...Object.fromEntries(Object.entries(progress).map(([metric, amount]) => [metric, FieldValue.increment(amount)])),
+  }, { merge: true });
+};
+
+// Pays the season's prizes to its top affiliates once it has ended. The config and standings are
+// read in the same transaction as the payout, and a closed season is left untouched.
+const closeAffiliateSeason = (seasonId) => db.runTransaction(async (transaction) => {
+  if (Date.now() < getAffiliateSeasonEndTime(seasonId)) return null;
+  const seasonDocRef = getAffiliateSeasonDocRef(seasonId);
+  const seasonSnap = await transaction.get(seasonDocRef);
+  if (seasonSnap.exists && seasonSnap.data().status === 'closed') return null;
+  const configSnap = await transaction.get(referralConfigDocRef());
+  const config = readReferralConfig(configSnap.exists ? configSnap.data() : {});
+  const metric = config.seasonPrizeMetric;
+  const standingsSnap = config.seasonPrizes.length > 0
+    ? await transaction.get(getAffiliateSeasonStandingsRef(seasonId).orderBy(metric, 'desc').limit(config.seasonPrizes.length))
+    : { docs: [] };
+  const winners = standingsSnap.docs
+    .map(standingDoc => ({ userId: standingDoc.id, ...standingDoc.data() }))
+    .filter(standing => (standing[metric] || 0) > 0)
+    .map((standing, index) => ({ ...standing, rank: index + 1, prize: config.seasonPrizes[index] }));
+  const accounts = [];
+  for (const winner of winners) {
+    accounts.push(await openLedgerAccount(transaction, winner.userId));
+  }
+
+  winners.forEach((winner, index) => {
+    ledgerCredit(accounts[index], winner.prize, 'affiliate-season-prize');
+    commitLedgerAccount(transaction, accounts[index]);
+  });
+  transaction.set(seasonDocRef, {
+    seasonId,
+    status: 'closed',
+    closedAt: Date.now(),
+    metric,
+    winners: winners.map(({ rank, actor, referrals = 0, earnings = 0, prize }) => ({ rank, actor, referrals, earnings, prize })),
+  });
+  return winners;
+});
+
+exports.closeAffiliateSeasons = onSchedule('every 60 minutes', async () => {
+  const currentSeasonId = getAffiliateSeasonId(Date.now());
+  for (let offset = AFFILIATE_SEASON_CLOSE_LOOKBACK; offset >= 1; offset--) {
+    await closeAffiliateSeason(getEarlierAffiliateSeasonId(currentSeasonId, offset));
+  }
+});